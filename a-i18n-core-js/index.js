@@ -2,4 +2,14 @@
 export * from './src/Errors.js';
 export * from './src/Constants.js';
 export * from './src/Ai18n.js';
+export * from './src/Ai18n.parseLines.js';
+export * from './src/Ai18n.merge.js';
+export * from './src/Lint.js';
+export * from './src/formats/Json.js';
+export * from './src/formats/Po.js';
+export * from './src/formats/Xliff.js';
+export * from './src/formats/Icu.js';
+export * from './src/formats/Types.js';
+export * from './src/formats/Presets.js';
+export * from './src/FileSystem.js';
 export * from './src/Utils.js';
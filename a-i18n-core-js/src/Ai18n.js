@@ -1,11 +1,43 @@
 
-import { NotLoadedError, NotResolvedError, DuplicateKeyError, KeyExistError, KeyNotExistError, NotUniqueI18nFilesError, InvalidKeyError, NoI18nJsFileError, InvalidOptionsError } from './Errors.js';
-import { simpleDebounce, detectLocale, isI18nFile, isI18nJsFile, getTime, unsafeValue, commentLine, valueLine, deleteLine, splitFK, buildFK, toBacklog, toPromise, strCompare, boolCompare, tCompare } from './Utils.js';
-import { CommentLine, ApprovedLine, NotApprovedLine, DeleteLine, KeyValueSeparator, AutoExport, ManualExport, TypeFile, DefaultI18n, KeyState, EmptyT } from './Constants.js';
+import { NotLoadedError, NotResolvedError, DuplicateKeyError, KeyExistError, KeyNotExistError, NotUniqueI18nFilesError, InvalidKeyError, NoI18nJsFileError, InvalidOptionsError, InvalidFileError, ExporterNotFoundError, LintError, LowApprovalError, UnresolvedProblemsError } from './Errors.js';
+import { simpleDebounce, detectLocale, isI18nFile, isI18nJsFile, getTime, safeValue, unsafeValue, lineToT, toStateError, commentLine, valueLine, deleteLine, fingerprintLine, fingerprint, splitFK, buildFK, toBacklog, toPromise, strCompare, strNotEmpty, boolCompare, tCompare, endWithSlash, fallbackLocales } from './Utils.js';
+import { CommentLine, ApprovedLine, NotApprovedLine, DeleteLine, FingerprintLine, KeyValueSeparator, AutoExport, ManualExport, TypeFile, I18n, HistoryI18n, DefaultI18n, KeyState, EmptyT, ExportPolicy, StaleMode, StaleIssue } from './Constants.js';
 
 import { SortedArray } from './SortedArray.js';
 import { ConfigDefaults } from './ConfigDefaults.js';
 import { parseLines } from './Ai18n.parseLines.js';
+import { detectJsonLocale, isJsonFile, parseJsonTranslations } from './formats/Json.js';
+import { detectPoLocale, isPoFile, parsePoTranslations } from './formats/Po.js';
+import { detectXliffLocale, isXliffFile, parseXliffTranslations } from './formats/Xliff.js';
+import { createPresetExporter, isPresetExporter } from './formats/Presets.js';
+import { validateIcu } from './formats/Icu.js';
+import { LintSeverity, lintRules, lintValues } from './Lint.js';
+
+
+const exporterName = (exporterConfig) => exporterConfig.name || exporterConfig.preset || exporterConfig.file;
+
+const HistoryLimit = 100;
+
+// records of history@.i18n file (JSON array per line): [ Do, changes, inverse ], [ Undo ], [ Redo ]
+const HistoryRecord = {
+  Do: 'do',
+  Undo: 'undo',
+  Redo: 'redo'
+};
+
+const countLines = (content = '') => content.split(/\r\n|\r|\n/).filter(line => line.length > 0).length;
+
+// lines that set translation t of key (in backlog format)
+function tLines(key, t, withFingerprint = false) {
+
+  const lines = [ commentLine(key, t.comment), valueLine(t.approved, key, t.value) ];
+
+  if (t.fingerprint || withFingerprint) {
+    lines.push(fingerprintLine(key, t.fingerprint || ''));
+  }
+
+  return lines.join('\n');
+}
 
 
 export class Ai18n {
@@ -17,6 +49,8 @@ export class Ai18n {
 
     this.autoExport = this._config.autoExport;
 
+    this._history = { undo: [], redo: [] }; // of not saved changes, not a part of state, appended to history@.i18n file (see _writeHistory)
+
     this._resetState();
 
     this._actions().forEach(actionFn => {
@@ -46,7 +80,14 @@ export class Ai18n {
       this.copyKey,
       this.deleteKey,
       this.applyChange,
-      this.revertChanges
+      this.revertChanges,
+      this.importJson,
+      this.importPo,
+      this.importXliff,
+      this.lint,
+      this.undo,
+      this.redo,
+      this.discardProblems
     ]
   }
 
@@ -63,9 +104,11 @@ export class Ai18n {
     this.state = {
       keys: new SortedArray(),
       origins: {},
+      lines: {}, // positions of origins in files by full key: { comment, value }
       files: {}, // by locale
       locales: [],
       error: null,
+      problems: [], // state errors skipped in recovery mode
       loaded: false
     };
 
@@ -75,18 +118,34 @@ export class Ai18n {
   _setFiles(files = []) {
 
     const filesByLocale = {};
+    const uniqueFiles = [];
+
     for (const file of files) {
 
       const existingFile = filesByLocale[file.locale];
       if (existingFile) {
-        throw new NotUniqueI18nFilesError(existingFile.name, file.name);
+        this._stateProblem(new NotUniqueI18nFilesError(existingFile.name, file.name, { file: file.path }));
+        continue;
       }
 
       filesByLocale[file.locale] = file;
+      uniqueFiles.push(file);
     }
 
     this.state.files = filesByLocale;
-    this.state.locales = files.map(f => f.locale); // order is important
+    this.state.locales = uniqueFiles.map(f => f.locale); // order is important
+
+    return uniqueFiles;
+  }
+
+  // throws state error or collects it in recovery mode
+  _stateProblem(error) {
+
+    if (!this._config.recovery) {
+      throw error;
+    }
+
+    this.state.problems.push(toStateError(error));
   }
 
   _resetChanges() {
@@ -94,7 +153,8 @@ export class Ai18n {
       keys: new Set(),
       fullKeys: new Set(),
       before: {},
-      after: {}
+      after: {},
+      backlogs: {} // by locale: { lines, net, terminated } of backlog @.i18n file (net - lines after the last compaction)
     };
   }
 
@@ -154,11 +214,12 @@ export class Ai18n {
     const keyStates = [];
     for (const locale of Object.keys(nextChanges)) {
 
-      const lines = parseLines(nextChanges[locale]);
+      const lines = parseLines(nextChanges[locale], toBacklog(this.state.files[locale].path), e => this._stateProblem(e));
 
       const localeKeysState = {};
-      for (const parsedLine of lines) {
+      for (const lineWithPosition of lines) {
 
+        const parsedLine = lineToT(lineWithPosition);
         const fullKey = buildFK(locale, parsedLine.key);
         const before = changes.before[fullKey] = origins[fullKey];
 
@@ -198,9 +259,19 @@ export class Ai18n {
     return this.state.changes.fullKeys.has(fullKey) ? this.state.changes.after[fullKey] : this.state.origins[fullKey];
   }
 
-  _resetAllUpdates() {
+  // keepHistory - all changes are reverted by undo() / redo(), so history is kept in memory to redo them
+  _resetAllUpdates(keepHistory = false) {
+
     this._resetChanges();
-    return Promise.all(Object.values(this.state.files).map(file => this._fs.deleteFile(toBacklog(file.path))));
+
+    if (!keepHistory) {
+      this._history = { undo: [], redo: [] };
+    }
+
+    const paths = Object.values(this.state.files).map(file => toBacklog(file.path));
+    paths.push(this._fs.pathTo(HistoryI18n));
+
+    return Promise.all(paths.map(path => this._fs.deleteFile(path)));
   }
 
   _changesFKs() {
@@ -210,12 +281,27 @@ export class Ai18n {
     return this.state.changes.fullKeys = changesKeys;
   }
 
-  _applyNextChanges(nextChanges = {}) {
+  // fromHistory - changes of undo() / redo(), that are not recorded as new ones
+  _applyNextChanges(nextChanges = {}, fromHistory = false) {
+
+    let historyRecord;
+
+    if (!fromHistory && Object.keys(nextChanges).length > 0) {
+
+      const inverse = this._inverseChanges(nextChanges);
+      this._pushHistory({ changes: nextChanges, inverse });
+
+      historyRecord = [ HistoryRecord.Do, nextChanges, inverse ];
+    }
 
     this._changeState(nextChanges);
 
     const changes = Object.keys(nextChanges)
-      .map(locale => this._fs.appendContent(this._fs.pathTo(toBacklog(this._fileName(locale))), nextChanges[locale]));
+      .map(locale => this._writeBacklog(locale, nextChanges[locale]));
+
+    if (historyRecord) {
+      changes.push(this._writeHistory(historyRecord));
+    }
 
     return Promise.all(changes)
       .then(() => {
@@ -237,7 +323,7 @@ export class Ai18n {
 
         const optimizedFKs = this._changesFKs();
         if (notOptimizedFKs.size > 0 && optimizedFKs.size === 0) {
-          return this._resetAllUpdates(); // if all changes reverted then removing backlog files
+          return this._resetAllUpdates(fromHistory); // if all changes reverted then removing backlog files
         } else {
 
           const keys = new Set();
@@ -252,6 +338,161 @@ export class Ai18n {
       .then(() => this._triggerChange());
   }
 
+  // appends changes to backlog file, or rewrites it with net changes if it got config.compactBacklog lines longer than after the last rewrite
+  _writeBacklog(locale, content) {
+
+    const path = this._fs.pathTo(toBacklog(this._fileName(locale)));
+    const { backlogs } = this.state.changes;
+    const backlog = backlogs[locale] = backlogs[locale] || { lines: 0, net: 0, terminated: true };
+
+    const limit = this._config.compactBacklog;
+    const lines = countLines(content);
+
+    // lines skipped in recovery mode are not in state, so they would be lost
+    const canCompact = limit > 0 && this.state.problems.length === 0;
+
+    if (canCompact && backlog.lines + lines > limit + backlog.net) {
+
+      const compacted = this._compactBacklog(locale);
+
+      backlog.lines = backlog.net = countLines(compacted);
+      backlog.terminated = true;
+
+      return compacted.length > 0 ? this._fs.writeFile(path, compacted + '\n') : this._fs.deleteFile(path);
+    }
+
+    const prefix = backlog.terminated ? '' : '\n';
+
+    backlog.lines += lines;
+    backlog.terminated = true; // appendContent() adds new line in the end
+
+    return this._fs.appendContent(path, prefix + content);
+  }
+
+  // net changes of locale (changes.after of changed translations) in backlog format
+  _compactBacklog(locale) {
+
+    const { before, after } = this.state.changes;
+
+    return Array.from(this._changesFKs())
+      .filter(fullKey => splitFK(fullKey)[0] === locale && !tCompare(before[fullKey], after[fullKey]))
+      .map(fullKey => {
+
+        const key = splitFK(fullKey)[1];
+        const t = after[fullKey];
+
+        return t ? tLines(key, t, !!(before[fullKey] && before[fullKey].fingerprint)) : deleteLine(key);
+      })
+      .join('\n');
+  }
+
+  // changes -> changes that restore current translations of changed keys
+  _inverseChanges(nextChanges) {
+
+    const inverse = {};
+
+    // must be called before changes are applied to state
+    const exists = (key) => this.state.keys.has(key);
+
+    for (const locale of Object.keys(nextChanges)) {
+
+      const lines = parseLines(nextChanges[locale]);
+      const keys = new Set(lines.map(line => line.key));
+      const fingerprintKeys = new Set(lines.filter(line => line.type === FingerprintLine).map(line => line.key));
+
+      inverse[locale] = Array.from(keys).map(key => {
+
+        if (!exists(key)) {
+          return deleteLine(key);
+        }
+
+        return tLines(key, this.getT(buildFK(locale, key)) || EmptyT, fingerprintKeys.has(key));
+      }).join('\n');
+    }
+
+    return inverse;
+  }
+
+  _pushHistory(entry) {
+
+    const { undo } = this._history;
+    undo.push(entry);
+    undo.splice(0, undo.length - HistoryLimit);
+
+    this._history.redo = [];
+  }
+
+  // history records are appended to file next to backlog files, so undo() / redo() work after reload
+  _writeHistory(record) {
+    return this._fs.appendContent(this._fs.pathTo(HistoryI18n), JSON.stringify(record));
+  }
+
+  _readHistory() {
+    return this._fs.readFile(this._fs.pathTo(HistoryI18n))
+      .then(content => {
+
+        const history = this._history = { undo: [], redo: [] };
+
+        for (const line of content.split(/\r\n|\r|\n/).filter(line => line.length > 0)) {
+
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (e) {
+            continue; // broken record is skipped, it's not a state error
+          }
+
+          const [ type, changes, inverse ] = record;
+
+          if (type === HistoryRecord.Do) {
+            this._pushHistory({ changes, inverse });
+          } else if (type === HistoryRecord.Undo && history.undo.length > 0) {
+            history.redo.push(history.undo.pop());
+          } else if (type === HistoryRecord.Redo && history.redo.length > 0) {
+            history.undo.push(history.redo.pop());
+          }
+        }
+      });
+  }
+
+  // reverts the latest change (resolves false if nothing to undo)
+  undo(options = {}) {
+    return toPromise(() => {
+
+      this._validateAction(options);
+
+      const entry = this._history.undo.pop();
+      if (!entry) {
+        return false;
+      }
+
+      this._history.redo.push(entry);
+
+      return this._writeHistory([ HistoryRecord.Undo ])
+        .then(() => this._applyNextChanges(entry.inverse, true))
+        .then(() => true);
+    });
+  }
+
+  // applies the latest undone change again (resolves false if nothing to redo)
+  redo(options = {}) {
+    return toPromise(() => {
+
+      this._validateAction(options);
+
+      const entry = this._history.redo.pop();
+      if (!entry) {
+        return false;
+      }
+
+      this._history.undo.push(entry);
+
+      return this._writeHistory([ HistoryRecord.Redo ])
+        .then(() => this._applyNextChanges(entry.changes, true))
+        .then(() => true);
+    });
+  }
+
   _findFiles(filter, returnFirst = false) {
     return this._fs.validateDirectory()
       .then(() => this._fs.readDirectory())
@@ -266,10 +507,38 @@ export class Ai18n {
   }
 
   _findI18nFiles() { return this._findFiles(isI18nFile); };
-  _findI18nJsFile() { return this._findFiles(isI18nJsFile, true); };
+  _findI18nJsFile(exporterPath = this._config.exporterPath) {
+
+    if (!exporterPath) {
+      return this._findFiles(isI18nJsFile, true);
+    }
+
+    return this._fs.existFile(exporterPath)
+      .then(isExists => isExists ? { name: exporterPath.substring(exporterPath.lastIndexOf('/') + 1), path: exporterPath } : undefined);
+  };
+
+  // legacy exporter: body of .i18n.js is evaluated with exporter as this-context
+  _loadExporter(exporterFile, exporter) {
+    return this._fs.readFile(exporterFile.path)
+      .then(content => {
+
+        function init() {
+          eval(content);
+        };
+
+        init = init.bind(exporter);
+
+        init();
+
+        return toPromise(exporter);
+      });
+  }
 
   _fileName(locale) { return this.state.files[locale].name }
 
+  // file system that is given to exporter (can be replaced to redirect exported files)
+  _exportFS() { return this._fs; }
+
   _autoExport() {
     if (this.autoExport) {
       return this.export({ type: AutoExport });
@@ -278,6 +547,68 @@ export class Ai18n {
     }
   }
 
+  // translations = [{ locale, key, value, comment?, approved? }]
+  // applies translations as changes (as addKey & applyChange do), creates missing .i18n files
+  _importTranslations(translations = [], overwrite = true) {
+
+    translations.forEach(t => this._validateKey(t.key));
+
+    const newLocales = Array.from(new Set(translations.map(t => t.locale)))
+      .filter(locale => !this.state.files[locale]);
+
+    return Promise.all(newLocales.map(locale => this._fs.writeFile(this._fs.pathTo(locale + I18n), '')))
+      .then(() => newLocales.length > 0 ? this.load() : true)
+      .then(() => {
+
+        this._validateAction();
+
+        const result = { added: 0, changed: 0 };
+
+        const lines = {};
+        const pushLine = (locale, line) => (lines[locale] = lines[locale] || []).push(line);
+
+        const newKeys = new Set();
+
+        for (const { locale, key, value, comment, approved = false } of translations) {
+
+          if (!this.state.keys.has(key) && !newKeys.has(key)) {
+
+            newKeys.add(key);
+            result.added++;
+
+            for (const l of this.state.locales) {
+              pushLine(l, valueLine(EmptyT.approved, key, EmptyT.value));
+            }
+          }
+
+          const current = newKeys.has(key) ? {} : (this.getT(buildFK(locale, key)) || {});
+
+          const canChangeValue = value !== undefined && (overwrite || !strNotEmpty(current.value));
+          // values of current translations are safe (see safeValue)
+          const valueChanged = canChangeValue && !(strCompare(safeValue(value), current.value) && boolCompare(approved, current.approved));
+          const commentChanged = comment !== undefined && (overwrite || !strNotEmpty(current.comment)) && !strCompare(safeValue(comment), current.comment);
+
+          if (commentChanged) {
+            pushLine(locale, commentLine(key, comment));
+          }
+
+          if (valueChanged) {
+            pushLine(locale, valueLine(approved, key, value));
+          }
+
+          if ((valueChanged || commentChanged) && !newKeys.has(key)) {
+            result.changed++;
+          }
+        }
+
+        const nextChanges = {};
+        Object.keys(lines).forEach(locale => nextChanges[locale] = lines[locale].join('\n'));
+
+        return this._applyNextChanges(nextChanges)
+          .then(() => result);
+      });
+  }
+
   _tryChangeState(fn, a, b, c) {
 
     try {
@@ -286,10 +617,7 @@ export class Ai18n {
 
       if (e.stateError) {
 
-        this.state.error = {
-          code: e.code,
-          message: e.message
-        };
+        this.state.error = toStateError(e);
 
         return false;
       } else {
@@ -309,7 +637,7 @@ export class Ai18n {
       files.push(this._nameToFile(DefaultI18n));
     }
 
-    this._setFiles(files);
+    files = this._setFiles(files);
 
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
@@ -326,27 +654,32 @@ export class Ai18n {
       for (let i = 0; i < this.state.locales.length; i++) {
 
         const locale = this.state.locales[i];
-        const valueKeys = new Set();
-        const commentKeys = new Set();
+        const file = this.state.files[locale].path;
+        const lineKeys = { comment: new Set(), value: new Set(), fingerprint: new Set() };
 
-        const lines = parseLines(contents[i]);
+        const lines = parseLines(contents[i], file, e => this._stateProblem(e));
 
-        for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
-
-          const parsedLine = lines[lineNumber];
+        for (const lineWithPosition of lines) {
 
+          const { line } = lineWithPosition;
+          const parsedLine = lineToT(lineWithPosition);
           const fullKey = buildFK(locale, parsedLine.key);
 
-          this.state.origins[fullKey] = Object.assign(this.state.origins[fullKey] || {}, parsedLine);
-
-          const targetSet = parsedLine.type === CommentLine ? commentKeys : valueKeys;
+          const lineType = parsedLine.type === CommentLine ? 'comment' : (parsedLine.type === FingerprintLine ? 'fingerprint' : 'value');
+          const targetSet = lineKeys[lineType];
 
           if (targetSet.has(parsedLine.key)) {
-            throw new DuplicateKeyError(parsedLine.key + ` [${this._fileName(locale)}:${lineNumber}]`);
-          } else {
-            keys.add(parsedLine.key);
-            targetSet.add(parsedLine.key);
+            this._stateProblem(new DuplicateKeyError(parsedLine.key, { file, line, column: 1 }));
+            continue; // first line is kept
           }
+
+          keys.add(parsedLine.key);
+          targetSet.add(parsedLine.key);
+
+          this.state.origins[fullKey] = Object.assign(this.state.origins[fullKey] || {}, parsedLine);
+
+          const position = this.state.lines[fullKey] = this.state.lines[fullKey] || {};
+          position[lineType] = line;
         }
 
       }
@@ -367,6 +700,11 @@ export class Ai18n {
       }
 
       this._changeState(nextChanges);
+
+      for (const locale of Object.keys(nextChanges)) {
+        const backlog = nextChanges[locale] || '';
+        this.state.changes.backlogs[locale] = { lines: countLines(backlog), net: 0, terminated: backlog.length === 0 || backlog.endsWith('\n') };
+      }
   }
 
   getKeyState(key) {
@@ -417,11 +755,191 @@ export class Ai18n {
       }
     }
 
+    const values = {};
+    Object.keys(current).forEach(locale => values[locale] = current[locale].value);
+
+    const { defaultLocale } = this._config;
+
+    const issues = this._config.icu ? validateIcu(values, defaultLocale) : {};
+    const problems = lintValues(values, defaultLocale, lintRules(this._config.lint));
+    Object.keys(problems).forEach(locale => issues[locale] = (issues[locale] || []).concat(problems[locale]));
+
+    if (this._config.staleMode !== StaleMode.None) {
+      this._staleOf(key).forEach(({ locale }) => (issues[locale] = issues[locale] || [])
+        .push({ code: StaleIssue, message: `Source text of ${defaultLocale} is changed, translation may be outdated` }));
+    }
+
     return {
       state,
       previous,
-      current
+      current,
+      issues // { [locale]: [{ code, message, severity?, position? }] } of ICU validation and lint rules
+    }
+  }
+
+  // translations older than their source: value of default locale is changed in backlog, but translation value isn't
+  // -> [{ locale, key, value, approved, source, previousSource }] (values are safe)
+  getStale() {
+
+    const { keys, loaded, error } = this.state;
+
+    if (!loaded || error || this._config.staleMode === StaleMode.None) {
+      return [];
+    }
+
+    return [].concat(...keys.array.map(key => this._staleOf(key)));
+  }
+
+  _staleOf(key) {
+
+    const { locales, changes, origins } = this.state;
+    const { defaultLocale, staleMode } = this._config;
+    const stale = [];
+
+    const previousSource = changes.before[buildFK(defaultLocale, key)];
+    const source = this.getT(buildFK(defaultLocale, key));
+
+    const sourceChanged = previousSource && source && strNotEmpty(previousSource.value) && !strCompare(previousSource.value, source.value);
+
+    for (const locale of sourceChanged ? locales : []) {
+
+      const fk = buildFK(locale, key);
+      const t = this.getT(fk);
+      const origin = origins[fk];
+
+      // in unapprove mode approving translation again is the same as changing it
+      const outdated = t && origin && strNotEmpty(t.value) && strCompare(t.value, origin.value) && (staleMode === StaleMode.Review || !t.approved);
+
+      if (locale !== defaultLocale && outdated) {
+        stale.push({ locale, key, value: t.value, approved: !!t.approved, source: source.value, previousSource: previousSource.value });
+      }
+    }
+
+    // changes are known only until save(), but fingerprints are kept in files
+    if (this._config.fingerprints) {
+      this._outdatedOf(key)
+        .filter(o => !stale.some(t => t.locale === o.locale))
+        .forEach(o => stale.push({ locale: o.locale, key, value: o.value, approved: !!this.getT(buildFK(o.locale, key)).approved, source: (source || EmptyT).value }));
+    }
+
+    return stale;
+  }
+
+
+  // translations with fingerprint (see config.fingerprints) of other source value than current one
+  // -> [{ locale, key, value, fingerprint, sourceFingerprint }]
+  getOutdated() {
+
+    const { keys, loaded, error } = this.state;
+
+    if (!loaded || error) {
+      return [];
+    }
+
+    return [].concat(...keys.array.map(key => this._outdatedOf(key)));
+  }
+
+  _outdatedOf(key) {
+
+    const { locales } = this.state;
+    const { defaultLocale } = this._config;
+    const outdated = [];
+
+    const source = this.getT(buildFK(defaultLocale, key)) || EmptyT;
+    const sourceFingerprint = fingerprint(source.value);
+
+    for (const locale of locales) {
+
+      const t = this.getT(buildFK(locale, key));
+      if (locale !== defaultLocale && t && t.fingerprint && t.fingerprint !== sourceFingerprint) {
+        outdated.push({ locale, key, value: t.value, fingerprint: t.fingerprint, sourceFingerprint });
+      }
+    }
+
+    return outdated;
+  }
+
+  // current values (with changes) -> { [locale]: { keys, filled, empty, approved, unapproved, words, characters, pending } }
+  // pending - count of changed translations in backlog @.i18n files
+  getStatistics() {
+
+    const { locales, keys, changes, loaded, error } = this.state;
+    const statistics = {};
+
+    if (!loaded || error) {
+      return statistics;
+    }
+
+    for (const locale of locales) {
+
+      const s = statistics[locale] = { keys: keys.array.length, filled: 0, empty: 0, approved: 0, unapproved: 0, words: 0, characters: 0, pending: 0 };
+
+      for (const key of keys.array) {
+
+        const t = this.getT(buildFK(locale, key)) || EmptyT;
+
+        if (!strNotEmpty(t.value)) {
+          s.empty++;
+          continue;
+        }
+
+        const value = unsafeValue(t.value);
+
+        s.filled++;
+        s.words += value.split(/\s+/).filter(word => word.length > 0).length;
+        s.characters += value.length;
+
+        if (t.approved) {
+          s.approved++;
+        } else {
+          s.unapproved++;
+        }
+      }
+    }
+
+    changes.fullKeys.forEach(fullKey => {
+      const [ locale ] = splitFK(fullKey);
+      if (statistics[locale]) statistics[locale].pending++;
+    });
+
+    return statistics;
+  }
+
+  // saved values -> [{ locale, key, code, severity, message, file, line }] (see config.lint)
+  _lint(rules = lintRules(this._config.lint)) {
+
+    const { files, keys, origins, lines } = this.state;
+    const result = [];
+
+    if (Object.keys(rules).length === 0) {
+      return result;
+    }
+
+    for (const key of keys.array) {
+
+      const values = {};
+      Object.keys(files).forEach(locale => values[locale] = (origins[buildFK(locale, key)] || EmptyT).value);
+
+      const problems = lintValues(values, this._config.defaultLocale, rules);
+
+      for (const locale of Object.keys(problems)) {
+        for (const problem of problems[locale]) {
+          const line = (lines[buildFK(locale, key)] || {}).value;
+          result.push(Object.assign({ locale, key }, problem, { file: files[locale].path, line }));
+        }
+      }
     }
+
+    return result;
+  }
+
+  // options.rules - { [rule]: severity } that overrides config.lint
+  lint(options = {}) {
+    return toPromise(() => {
+
+      this._validateAction(options);
+      return this._lint(lintRules(this._config.lint, options.rules));
+    });
   }
 
   connect(options = {}) {
@@ -470,18 +988,41 @@ export class Ai18n {
       })
       .then(() => {
         if (!this.state.error) {
-          return this._applyNextChanges();
+          return this._readHistory()
+            .then(() => this._applyNextChanges());
         } else {
           this._triggerChange();
         }
       })
   }
 
+  // confirms that lines skipped in recovery mode are removed on save(): all problems or of options.file (and options.line)
+  // resolves count of discarded problems (they are collected again on load() until files are saved)
+  discardProblems(options = {}) {
+    return toPromise(() => {
+
+      this._validateAction(options);
+
+      const { file, line } = options;
+      const { problems } = this.state;
+
+      this.state.problems = problems.filter(problem => (file && problem.file !== file) || (line && problem.line !== line));
+      this._triggerChange();
+
+      return problems.length - this.state.problems.length;
+    });
+  }
+
   // important to make changes to local files under development
   // save state to fs (current state - with changes)
   save() {
     return toPromise(() => {
 
+      // lines skipped in recovery mode are not in state, so they must be discarded first (see discardProblems)
+      if (this.state.problems.length > 0) {
+        throw new UnresolvedProblemsError(this.state.problems);
+      }
+
       this._lastTimeUpdated = getTime();
 
       const files = Object.values(this.state.files)
@@ -527,6 +1068,10 @@ export class Ai18n {
           if (hasComment || hasValue) {
             file.lines.push((approved ? ApprovedLine : NotApprovedLine) + key + KeyValueSeparator + value);
           }
+
+          if (file.t.fingerprint && (hasComment || hasValue)) {
+            file.lines.push(fingerprintLine(key, file.t.fingerprint));
+          }
         }
 
       }
@@ -573,50 +1118,96 @@ export class Ai18n {
       });
   }
 
+  // options.name - runs only exporter with the name from config.exporters
+  // options.lint = false - skips lint rules with error severity, that block export
+  // options.fallbacks, options.policy, options.minApproval - override config.fallbacks, config.exportPolicy, config.minApproval
   export(options = {}) {
     return toPromise(() => {
 
       this._validateAction(options);
 
+      const { minApproval = this._config.minApproval } = options;
+      if (minApproval > 0) {
+
+        const rates = this._approvalRates();
+        const low = {};
+        Object.keys(rates).filter(locale => rates[locale] < minApproval).forEach(locale => low[locale] = rates[locale]);
+
+        if (Object.keys(low).length > 0) {
+          throw new LowApprovalError(low, minApproval);
+        }
+      }
+
+      // only rules with error severity block export, so values aren't checked if there are none
+      const errorRules = lintRules(this._config.lint);
+      Object.keys(errorRules).filter(rule => errorRules[rule] !== LintSeverity.Error).forEach(rule => delete errorRules[rule]);
+
+      if (options.lint !== false && Object.keys(errorRules).length > 0) {
+        const errors = this._lint(errorRules);
+        if (errors.length > 0) {
+          throw new LintError(errors);
+        }
+      }
+
+      const { exporters = [] } = this._config;
+      if (exporters.length === 0) {
+        return this._export(options, this._config.exporter);
+      }
+
+      const names = exporters.map(exporterName);
+      const selected = options.name === undefined ? exporters : exporters.filter(e => exporterName(e) === options.name);
+
+      if (selected.length === 0) {
+        throw new ExporterNotFoundError(options.name, names);
+      }
+
+      // exporters are run one by one, as they can write to the same directories
+      const results = {};
+      return selected.reduce((promise, exporterConfig) => promise
+        .then(() => this._export(options, exporterConfig, exporterName(exporterConfig)))
+        .then(result => results[exporterName(exporterConfig)] = result), toPromise(true))
+        .then(() => results);
+    });
+  }
+
+  // exporterConfig: built-in { preset, ... }, custom { begin, insert, save, ... }, file { file? } (.i18n.js by default)
+  _export(options, exporterConfig, name) {
+    return toPromise(() => {
+
       const exporter = {
 
         options,
+        name,
         type: options.type || ManualExport,
-        fs: this._fs,
+        fs: this._exportFS(),
         config: this._config,
 
         validate: () => true,
         end: () => true
       };
 
-      if (this._config.exporter) {
-        return toPromise(Object.assign(exporter, this._config.exporter));
+      if (isPresetExporter(exporterConfig)) {
+        // built-in exporter (e.g. from .i18n.json), so workspace code isn't evaluated
+        return toPromise(Object.assign(exporter, createPresetExporter(exporterConfig)));
+      } else if (exporterConfig && typeof exporterConfig.save === 'function') {
+        return toPromise(Object.assign(exporter, exporterConfig));
       } else {
-        return this._findI18nJsFile()
+
+        const exporterPath = exporterConfig && exporterConfig.file;
+
+        return this._findI18nJsFile(exporterPath)
           .then((exporterFile) => {
 
             if (!exporterFile) {
 
               if (options.type !== AutoExport) {
-                throw new NoI18nJsFileError();
+                throw new NoI18nJsFileError(exporterPath || this._config.exporterPath);
               }
 
               return toPromise(false);
             }
 
-            return this._fs.readFile(exporterFile.path)
-              .then(content => {
-
-                function init() {
-                  eval(content);
-                };
-
-                init = init.bind(exporter);
-
-                init();
-
-                return toPromise(exporter);
-              });
+            return this._loadExporter(exporterFile, exporter);
           })
       }
     })
@@ -631,12 +1222,20 @@ export class Ai18n {
           return false;
         }
 
+        const { policy = this._config.exportPolicy } = options;
+        const approvedOnly = policy === ExportPolicy.Approved || policy === ExportPolicy.Fallback;
+
+        // fallback policy uses default chains, even if fallbacks are disabled
+        const fallbacks = this._fallbacks(options) || (policy === ExportPolicy.Fallback ? {} : null);
+
         for (const file of Object.values(this.state.files)) {
 
+          const chain = fallbacks ? fallbackLocales(file.locale, this.state.locales, this._config.defaultLocale, fallbacks) : [];
+
           const fileData = exporter.begin(file);
           for (const key of this.state.keys.array) {
 
-            const t = this.state.origins[buildFK(file.locale, key)];
+            const t = this._fallbackT(file.locale, key, chain, approvedOnly);
             if (t) {
 
               const unsafeT = Object.assign({}, t, {
@@ -654,10 +1253,62 @@ export class Ai18n {
         return exporter.save();
       })
       .then(exportResult => {
-        this._config.exportHandler(exportResult, false);
+        this._config.exportHandler(exportResult, false, name);
         return exportResult;
       })
-      .catch(e => this._config.exportHandler(e, true) && false)
+      .catch(e => this._config.exportHandler(e, true, name) && false)
+  }
+
+  // -> chains by locale or null if fallbacks are disabled
+  _fallbacks(options) {
+
+    const fallbacks = options.fallbacks === undefined ? this._config.fallbacks : options.fallbacks;
+    if (!fallbacks) {
+      return null;
+    }
+
+    return typeof fallbacks === 'object' ? fallbacks : (typeof this._config.fallbacks === 'object' ? this._config.fallbacks : {});
+  }
+
+  // saved translation, missing or empty value is taken from first locale of chain with value (marked with fallback: locale)
+  // approvedOnly - not approved values are missing too
+  _fallbackT(locale, key, chain, approvedOnly = false) {
+
+    const isFilled = (t) => t && strNotEmpty(t.value) && (!approvedOnly || t.approved);
+
+    const t = this.state.origins[buildFK(locale, key)];
+    if (isFilled(t)) {
+      return t;
+    }
+
+    for (const fallbackLocale of chain) {
+
+      const fallbackT = this.state.origins[buildFK(fallbackLocale, key)];
+      if (isFilled(fallbackT)) {
+        return Object.assign({ key }, t, { value: fallbackT.value, approved: fallbackT.approved, fallback: fallbackLocale });
+      }
+    }
+
+    return approvedOnly ? undefined : t;
+  }
+
+  // saved values -> { [locale]: rate of approved not empty values (0..1) }
+  _approvalRates() {
+
+    const { locales, keys, origins } = this.state;
+    const rates = {};
+
+    for (const locale of locales) {
+
+      const approved = keys.array.filter(key => {
+        const t = origins[buildFK(locale, key)];
+        return t && t.approved && strNotEmpty(t.value);
+      }).length;
+
+      rates[locale] = keys.array.length > 0 ? approved / keys.array.length : 1;
+    }
+
+    return rates;
   }
 
   addKey(options = {}) {
@@ -668,13 +1319,11 @@ export class Ai18n {
       const { key } = options;
       this._validateKey(key);
 
-      const sortedIndex = this.state.keys.sortedIndexOf(key);
-      if (sortedIndex >= 0) {
+      if (this.state.keys.has(key)) {
         throw new KeyExistError(key);
       }
 
-      this.state.keys.insert(key, sortedIndex);
-
+      // key is inserted with changes (see _changeState)
       const nextChanges = {};
       for (const locale of this.state.locales) {
         nextChanges[locale] = valueLine(EmptyT.approved, key, EmptyT.value);
@@ -702,13 +1351,10 @@ export class Ai18n {
         throw new KeyNotExistError(fromKey);
       }
 
-      const sortedIndex = this.state.keys.sortedIndexOf(toKey);
-      if (sortedIndex >= 0) {
+      if (this.state.keys.has(toKey)) {
         throw new KeyExistError(toKey);
       }
 
-      this.state.keys.insert(toKey, sortedIndex);
-
       const nextChanges = {};
 
       for (const locale of this.state.locales) {
@@ -722,6 +1368,9 @@ export class Ai18n {
             changes.push(commentLine(toKey, t.comment))
           }
           changes.push(valueLine(t.approved, toKey, t.value))
+          if (t.fingerprint) {
+            changes.push(fingerprintLine(toKey, t.fingerprint));
+          }
           nextChanges[locale] = changes.join('\n');
         } else {
           nextChanges[locale] = valueLine(false, toKey, '');
@@ -741,7 +1390,7 @@ export class Ai18n {
       const { key } = options;
       this._validateKey(key);
 
-      if (this.state.keys.remove(key)) {
+      if (this.state.keys.has(key)) {
 
         const nextChanges = {};
         for (const locale of this.state.locales) {
@@ -777,16 +1426,115 @@ export class Ai18n {
 
       if (!valueCompare) {
         changes.push(valueLine(approved, key, value))
+
+        const source = this.getT(buildFK(this._config.defaultLocale, key));
+        if (this._config.fingerprints && locale !== this._config.defaultLocale && source && strNotEmpty(source.value)) {
+          changes.push(fingerprintLine(key, fingerprint(source.value)));
+        }
       }
 
       const nextChanges = {
         [locale]: changes.join('\n')
       };
 
+      const sourceChanged = locale === this._config.defaultLocale && strNotEmpty(current.value) && !strCompare(safeValue(value), current.value);
+      if (sourceChanged && this._config.staleMode === StaleMode.Unapprove) {
+        this._unapproveTranslations(key, nextChanges);
+      }
+
       return this._applyNextChanges(nextChanges);
     });
   }
 
+  // approved translations of other locales are outdated by changed source value
+  _unapproveTranslations(key, nextChanges) {
+
+    for (const locale of this.state.locales) {
+
+      const t = this.getT(buildFK(locale, key));
+      if (locale !== this._config.defaultLocale && t && t.approved && strNotEmpty(t.value)) {
+        nextChanges[locale] = valueLine(false, key, unsafeValue(t.value));
+      }
+    }
+  }
+
+  // parse(content, locale) -> translations of file
+  _importFiles(path, isFile, detectFileLocale, parse, overwrite) {
+    return this._fs.validateDirectory(path)
+      .then(() => this._fs.readDirectory(path))
+      .then((content = []) => {
+
+        const files = content
+          .filter(info => info[1] === TypeFile && isFile(info[0]))
+          .map(info => ({ path: endWithSlash(path) + info[0], locale: detectFileLocale(info[0]) }));
+
+        return Promise.all(files.map(file => this._fs.readFile(file.path)))
+          .then(contents => {
+
+            let translations = [];
+            files.forEach((file, i) => {
+              try {
+                translations = translations.concat(parse(contents[i], file.locale));
+              } catch (e) {
+                throw new InvalidFileError(file.path, e.message);
+              }
+            });
+
+            return this._importTranslations(translations, overwrite);
+          });
+      });
+  }
+
+  // imports en.json, de.json, ... (flat or nested) from directory options.path
+  importJson(options = {}) {
+    return toPromise(() => {
+
+      this._validateAction(options);
+
+      const { path, approved = false, separator = '.', overwrite = true } = options;
+
+      const parse = (content, locale) => parseJsonTranslations(content, locale, separator)
+        .map(t => Object.assign(t, { approved }));
+
+      return this._importFiles(path, isJsonFile, detectJsonLocale, parse, overwrite);
+    });
+  }
+
+  // imports msgstr of en.po, de.po, ... from directory options.path (fuzzy entries are not approved)
+  importPo(options = {}) {
+    return toPromise(() => {
+
+      this._validateAction(options);
+
+      const { path, mode, overwrite = true } = options;
+
+      // in msgid-mode keys of entries without msgctxt are resolved by text of default locale
+      const sourceKeys = {};
+      for (const key of this.state.keys.array) {
+        const t = this.getT(buildFK(this._config.defaultLocale, key));
+        if (t && strNotEmpty(t.value)) {
+          sourceKeys[unsafeValue(t.value)] = key;
+        }
+      }
+
+      const parse = (content, locale) => parsePoTranslations(content, locale, mode, sourceKeys);
+
+      return this._importFiles(path, isPoFile, detectPoLocale, parse, overwrite);
+    });
+  }
+
+  // imports targets of en.xlf, de.xlf, ... (XLIFF 1.2 or 2.0) from directory options.path (only final targets are approved)
+  importXliff(options = {}) {
+    return toPromise(() => {
+
+      this._validateAction(options);
+
+      const { path, overwrite = true } = options;
+
+      return this._importFiles(path, isXliffFile, detectXliffLocale, parseXliffTranslations, overwrite);
+    });
+  }
+
   revertChanges(options = {}) {
     return toPromise(() => {
 
@@ -814,9 +1562,11 @@ export class Ai18n {
 
         if (sameLocale && sameKey) {
 
+          // fingerprint of changed translation is reset too
           const t = this.state.origins[fullKey];
-          const change = t ? commentLine(keyFK, t.comment) + '\n' + valueLine(t.approved, keyFK, t.value) : deleteLine(keyFK);
-          nextChanges[localeFK] = change;
+          const current = this.getT(fullKey);
+          const change = t ? tLines(keyFK, t, !!(current && current.fingerprint)) : deleteLine(keyFK);
+          nextChanges[localeFK] = nextChanges[localeFK] ? nextChanges[localeFK] + '\n' + change : change;
 
         }
 
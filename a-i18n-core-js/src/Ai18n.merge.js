@@ -0,0 +1,158 @@
+import { ApprovedLine, CommentLine, DeleteLine, FingerprintLine, KeyValueSeparator, NotApprovedLine } from './Constants.js';
+import { parseLines } from './Ai18n.parseLines.js';
+
+
+export const ConflictMarkers = {
+  ours: '<<<<<<< ours',
+  separator: '=======',
+  theirs: '>>>>>>> theirs'
+};
+
+
+// key -> { comment, value, approved, fingerprint, lines, duplicated }, lines - source lines of key
+function toTranslations(content) {
+
+  const translations = {};
+  const contentLines = content.split(/\r\n|\r|\n/);
+
+  for (const { type, key, comment, value, approved, fingerprint, line } of parseLines(content)) {
+
+    if (type === DeleteLine) {
+      continue;
+    }
+
+    const t = translations[key] = translations[key] || { lines: [] };
+    t.lines.push(contentLines[line - 1]);
+
+    const name = type === CommentLine ? 'comment' : (type === FingerprintLine ? 'fingerprint' : 'value');
+    if (t[name] !== undefined) {
+      t.duplicated = true; // merging would silently drop one of lines
+    }
+
+    if (type === CommentLine) {
+      t.comment = comment;
+    } else if (type === FingerprintLine) {
+      t.fingerprint = fingerprint;
+    } else {
+      t.value = value;
+      t.approved = approved;
+    }
+  }
+
+  return translations;
+}
+
+const NoChange = {};
+
+function merge3(base, ours, theirs) {
+  if (ours === theirs) return ours;
+  if (ours === base) return theirs;
+  if (theirs === base) return ours;
+  return NoChange; // conflict
+}
+
+const sameT = (a, b) => (!a && !b) || (a && b && a.comment === b.comment && a.value === b.value && a.approved === b.approved && a.fingerprint === b.fingerprint);
+
+// resolves merged translation, undefined if key is deleted, NoChange on conflict
+function mergeT(base, ours, theirs) {
+
+  if (!ours || !theirs) {
+
+    const existing = ours || theirs;
+    if (!existing) return undefined; // deleted on both sides
+
+    if (!base) return existing; // added on one side
+
+    return sameT(base, existing) ? undefined : NoChange; // deleted vs changed
+  }
+
+  base = base || {};
+
+  const comment = merge3(base.comment, ours.comment, theirs.comment);
+  const value = merge3(base.value, ours.value, theirs.value);
+
+  if (comment === NoChange || value === NoChange) {
+    return NoChange;
+  }
+
+  // approval and fingerprint follow the side that changed the value, as they describe exactly that text
+  const oursChangedValue = ours.value !== base.value;
+  const theirsChangedValue = theirs.value !== base.value;
+
+  const followValue = (name) => {
+    if (oursChangedValue && !theirsChangedValue) return ours[name];
+    if (theirsChangedValue && !oursChangedValue) return theirs[name];
+    return merge3(base[name], ours[name], theirs[name]);
+  };
+
+  const approved = followValue('approved');
+  const fingerprint = followValue('fingerprint');
+
+  if (approved === NoChange || fingerprint === NoChange) {
+    return NoChange;
+  }
+
+  return fingerprint === undefined ? { comment, value, approved } : { comment, value, approved, fingerprint };
+}
+
+// as Ai18n.save() drops keys without comments and values (of this file only, as other locales are unknown)
+const isEmptyT = (t) => !t.comment && !t.value;
+
+// the same format as Ai18n.save() makes, duplicated lines are kept as is
+function tLines(key, t) {
+
+  if (!t) return [];
+  if (t.duplicated) return t.lines;
+
+  const lines = [];
+  const { comment, value = '', approved = false } = t;
+
+  if (comment !== undefined) {
+    lines.push(CommentLine + key + KeyValueSeparator + comment);
+  }
+
+  if (comment !== undefined || t.value !== undefined) {
+    lines.push((approved ? ApprovedLine : NotApprovedLine) + key + KeyValueSeparator + value);
+
+    if (t.fingerprint) {
+      lines.push(FingerprintLine + key + KeyValueSeparator + t.fingerprint);
+    }
+  }
+
+  return lines;
+}
+
+
+// 3-way merge of .i18n files by keys (comment, value and approval are merged separately)
+// content has conflict markers only around conflicting keys (duplicated keys of ours or theirs are conflicts too)
+export function mergeContents(baseContent = '', oursContent = '', theirsContent = '') {
+
+  const base = toTranslations(baseContent);
+  const ours = toTranslations(oursContent);
+  const theirs = toTranslations(theirsContent);
+
+  const keys = new Set(Object.keys(ours).concat(Object.keys(theirs)));
+
+  const lines = [];
+  const conflicts = [];
+
+  for (const key of Array.from(keys.values()).sort()) {
+
+    const duplicated = (ours[key] && ours[key].duplicated) || (theirs[key] && theirs[key].duplicated);
+    const t = duplicated ? NoChange : mergeT(base[key], ours[key], theirs[key]);
+
+    if (t === NoChange) {
+      conflicts.push(key);
+      lines.push(ConflictMarkers.ours, ...tLines(key, ours[key]), ConflictMarkers.separator, ...tLines(key, theirs[key]), ConflictMarkers.theirs);
+    } else if (t && !isEmptyT(t)) {
+      lines.push(...tLines(key, t));
+    }
+  }
+
+  lines.push(''); // adding empty line in the end
+
+  return {
+    content: lines.join('\n'),
+    conflicts
+  };
+}
@@ -0,0 +1,84 @@
+
+import { ConflictMarkers, mergeContents } from './Ai18n.merge.js';
+import { InvalidFormatError } from './Errors.js';
+
+
+const lines = (...l) => l.concat('').join('\n');
+
+const base = lines('/a=Comment', '-a=Text', '+b=Approved', '-c=Deleted');
+
+const examples = [
+  {
+    name: 'changes of different keys',
+    ours: lines('/a=Comment', '-a=Text changed', '+b=Approved', '-c=Deleted'),
+    theirs: lines('/a=Comment', '-a=Text', '+b=Approved', '-c=Deleted', '-d=Added'),
+    result: lines('/a=Comment', '-a=Text changed', '+b=Approved', '-c=Deleted', '-d=Added'),
+    conflicts: []
+  },
+  {
+    name: 'changes of different lines of the same key',
+    ours: lines('/a=Comment changed', '-a=Text', '+b=Approved', '-c=Deleted'),
+    theirs: lines('/a=Comment', '+a=Text', '+b=Approved', '-c=Deleted'),
+    result: lines('/a=Comment changed', '+a=Text', '+b=Approved', '-c=Deleted'),
+    conflicts: []
+  },
+  {
+    name: 'approval follows changed value',
+    ours: lines('/a=Comment', '-a=Text', '-b=Approved changed', '-c=Deleted'),
+    theirs: lines('/a=Comment', '-a=Text', '-b=Approved', '-c=Deleted'),
+    result: lines('/a=Comment', '-a=Text', '-b=Approved changed', '-c=Deleted'),
+    conflicts: []
+  },
+  {
+    name: 'fingerprint follows changed value',
+    ours: lines('/a=Comment', '+a=Text changed', '~a=0badc0de', '+b=Approved', '-c=Deleted'),
+    theirs: lines('/a=Comment', '-a=Text', '+b=Approved', '~b=12345678', '-c=Deleted'),
+    result: lines('/a=Comment', '+a=Text changed', '~a=0badc0de', '+b=Approved', '~b=12345678', '-c=Deleted'),
+    conflicts: []
+  },
+  {
+    name: 'deleted key and unsorted input',
+    ours: lines('-c=Deleted', '/a=Comment', '-a=Text', '+b=Approved'),
+    theirs: lines('/a=Comment', '-a=Text', '+b=Approved'),
+    result: lines('/a=Comment', '-a=Text', '+b=Approved'),
+    conflicts: []
+  },
+  {
+    name: 'conflicting values',
+    ours: lines('/a=Comment', '-a=Ours', '+b=Approved', '-c=Deleted'),
+    theirs: lines('/a=Comment', '-a=Theirs', '+b=Approved', '-c=Deleted'),
+    result: lines(ConflictMarkers.ours, '/a=Comment', '-a=Ours', ConflictMarkers.separator, '/a=Comment', '-a=Theirs', ConflictMarkers.theirs, '+b=Approved', '-c=Deleted'),
+    conflicts: [ 'a' ]
+  },
+  {
+    name: 'duplicated key',
+    ours: lines('/a=Comment', '-a=Text', '-a=Text duplicated', '+b=Approved', '-c=Deleted'),
+    theirs: lines('/a=Comment', '-a=Text', '+b=Approved changed', '-c=Deleted'),
+    result: lines(ConflictMarkers.ours, '/a=Comment', '-a=Text', '-a=Text duplicated', ConflictMarkers.separator, '/a=Comment', '-a=Text', ConflictMarkers.theirs, '+b=Approved changed', '-c=Deleted'),
+    conflicts: [ 'a' ]
+  },
+  {
+    name: 'empty keys are dropped as on save',
+    ours: lines('/a=Comment', '-a=Text', '+b=Approved', '-c='),
+    theirs: lines('/a=Comment', '-a=Text', '+b=Approved', '-c=Deleted', '/d=', '-d='),
+    result: lines('/a=Comment', '-a=Text', '+b=Approved'),
+    conflicts: []
+  },
+  {
+    name: 'deleted vs changed key',
+    ours: lines('/a=Comment', '-a=Text', '+b=Approved'),
+    theirs: lines('/a=Comment', '-a=Text', '+b=Approved', '-c=Changed'),
+    result: lines('/a=Comment', '-a=Text', '+b=Approved', ConflictMarkers.ours, ConflictMarkers.separator, '-c=Changed', ConflictMarkers.theirs),
+    conflicts: [ 'c' ]
+  }
+];
+
+for (const { name, ours, theirs, result, conflicts } of examples) {
+  test(`a-i18n-core-js.mergeContents(): ${name}`, () => {
+    expect(mergeContents(base, ours, theirs)).toEqual({ content: result, conflicts });
+  })
+}
+
+test(`a-i18n-core-js.mergeContents(): invalid content`, () => {
+  expect(() => mergeContents(base, '-invalid', base)).toThrow(InvalidFormatError);
+})
@@ -1,9 +1,10 @@
-
-import { CommentLine, ApprovedLine, DeleteLine } from './Constants.js';
+import { CommentLine, ApprovedLine, DeleteLine, FingerprintLine, KeyValueSeparator } from './Constants.js';
 import { InvalidFormatError } from './Errors.js';
 
 
-export function parseLines(content = '') {
+// file is used only to locate errors, line in result is 1-based
+// if onError is defined, invalid lines are skipped and errors are given to it instead of throwing
+export function parseLines(content = '', file, onError) {
 
   if (content.length === 0) { // don't use trim(), as it removes trailing space from text
     return [];
@@ -11,65 +12,62 @@ export function parseLines(content = '') {
 
   const lines = [];
 
-  let isKey = true;
-  let startIndex = 0;
-  let type = '';
-  let key = '';
-
-  for (let i = 0; i <= content.length; i++) {
-
-    let current = content[i];
-
-    if (isKey) {
-      if (startIndex === i) {
-        if (current === '\n' || content[i] === '\r') { // ignore \n after \r and empty lines
-          startIndex++;
-        } else {
-          type = current;
-        }
-      } else {
-
-        if (type === DeleteLine && (current === '\r' || current === '\n' || current === undefined)) {
-          key = content.substring(startIndex + 1, i);
-          startIndex = i + 1;
-          lines.push({ type, key });
-        } else if (current === '=') {
-          key = content.substring(startIndex + 1, i);
-          startIndex = i + 1;
-          isKey = false;
-        }
-      }
+  const contentLines = content.split(/\r\n|\r|\n/);
 
-    } else {
-      if (current === '\r' || current === '\n' || current === undefined) {
-
-        const value = content.substring(startIndex, i);
-
-        if (type === CommentLine) {
-          lines.push({
-            type,
-            key,
-            comment: value
-          });
-        } else {
-          lines.push({
-            type,
-            key,
-            value,
-            approved: type === ApprovedLine
-          });
-        }
-
-        isKey = true;
-        startIndex = i + 1;
-      }
+  for (let i = 0; i < contentLines.length; i++) {
 
+    const current = contentLines[i];
+    const line = i + 1;
+
+    if (current.length === 0) { // ignore empty lines
+      continue;
     }
 
-  }
+    const type = current[0];
+
+    if (type === DeleteLine) {
+      lines.push({ type, key: current.substring(1), line });
+      continue;
+    }
 
-  if (startIndex < content.length) {
-    throw new InvalidFormatError(content.substring(startIndex));
+    const separatorIndex = current.indexOf(KeyValueSeparator, 1);
+    if (separatorIndex < 0) {
+
+      const error = new InvalidFormatError(current, { file, line, column: 1 });
+      if (onError) {
+        onError(error);
+        continue;
+      }
+
+      throw error;
+    }
+
+    const key = current.substring(1, separatorIndex);
+    const value = current.substring(separatorIndex + 1);
+
+    if (type === CommentLine) {
+      lines.push({
+        type,
+        key,
+        comment: value,
+        line
+      });
+    } else if (type === FingerprintLine) {
+      lines.push({
+        type,
+        key,
+        fingerprint: value,
+        line
+      });
+    } else {
+      lines.push({
+        type,
+        key,
+        value,
+        approved: type === ApprovedLine,
+        line
+      });
+    }
   }
 
   return lines;
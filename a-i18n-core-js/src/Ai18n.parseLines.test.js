@@ -4,23 +4,28 @@ import { InvalidFormatError } from './Errors.js';
 
 const nl = '\n', nr = '\r';
 
+const at = (lineValue, line) => Object.assign({}, lineValue, { line });
+
 const line0K = '-empty=';
-const line0V = { type: '-', approved: false, key: 'empty', value: '' };
+const line0V = { line: 1, type: '-', approved: false, key: 'empty', value: '' };
 
 const line1K = '- test.key=Text';
-const line1V = { type: '-', approved: false, key: ' test.key', value: 'Text' };
+const line1V = { line: 1, type: '-', approved: false, key: ' test.key', value: 'Text' };
 
 const line2K = '+test.approve= Text approved ';
-const line2V = { type: '+', approved: true, key: 'test.approve', value: ' Text approved ' };
+const line2V = { line: 1, type: '+', approved: true, key: 'test.approve', value: ' Text approved ' };
 
 const line3K = '/test.comment= Comment text ';
-const line3V = { type: '/', key: 'test.comment', comment: ' Comment text ' };
+const line3V = { line: 1, type: '/', key: 'test.comment', comment: ' Comment text ' };
 
 const line4K = '#test.delete';
-const line4V = { type: '#', key: 'test.delete' };
+const line4V = { line: 1, type: '#', key: 'test.delete' };
 
 const line5K = '#test.delete ';
-const line5V = { type: '#', key: 'test.delete ' };
+const line5V = { line: 1, type: '#', key: 'test.delete ' };
+
+const line6K = '~test.key=811c9dc5';
+const line6V = { line: 1, type: '~', key: 'test.key', fingerprint: '811c9dc5' };
 
 
 const examples = {
@@ -30,9 +35,10 @@ const examples = {
   [line3K]: [line3V],
   [line4K]: [line4V],
   [line5K]: [line5V],
-  [nl + nl + line1K + nr + nl + nr + nl]: [line1V],
-  [nr + nl + line1K + nl + nr + line2K + nr]: [line1V, line2V],
-  [nr + nl + line1K + nl + nr + line2K + nl + line3K + nl + line4K]: [line1V, line2V, line3V, line4V]
+  [line6K]: [line6V],
+  [nl + nl + line1K + nr + nl + nr + nl]: [at(line1V, 3)],
+  [nr + nl + line1K + nl + nr + line2K + nr]: [at(line1V, 2), at(line2V, 4)],
+  [nr + nl + line1K + nl + nr + line2K + nl + line3K + nl + line4K]: [at(line1V, 2), at(line2V, 4), at(line3V, 5), at(line4V, 6)]
 }
 
 for (const example of Object.keys(examples)) {
@@ -42,10 +48,16 @@ for (const example of Object.keys(examples)) {
 }
 
 
-const incorrect = [ '+incorrect', '-incorrect' + nl, nr + '/incorrect' + nr ];
+const incorrect = {
+  '+incorrect': 1,
+  ['-incorrect' + nl]: 1,
+  [nr + '/incorrect' + nr]: 2,
+  [line1K + nl + '-incorrect' + nl + line2K]: 2
+};
 
-for (const example of incorrect) {
+for (const example of Object.keys(incorrect)) {
   test(`a-i18n-core-js.parseLines(): ${example}`, () => {
     expect(() => parseLines(example)).toThrow(InvalidFormatError);
+    expect(() => parseLines(example, 'en.i18n')).toThrow(expect.objectContaining({ file: 'en.i18n', line: incorrect[example], column: 1 }));
   })
 }
\ No newline at end of file
@@ -1,5 +1,5 @@
 
-import { RootDirectory } from './Constants.js';
+import { DefaultLocale, ExporterModule, ExportPolicy, RootDirectory, StaleMode } from './Constants.js';
 import { FileSystem } from './FileSystem.js';
 
 
@@ -10,14 +10,38 @@ export const ConfigDefaults = {
 
   autoExport: false, // needed to improve cli.js default behavior
 
+  defaultLocale: DefaultLocale, // locale of source texts (e.g. .pot template)
+
+  icu: false, // if true, validate values as ICU messages (syntax, placeholders of default locale, plural categories), see getKeyInfo().issues
+
+  lint: {}, // { [rule]: 'error' | 'warning' | 'off' } merged with LintDefaults (see Lint.js, all rules are off), false disables all rules; errors block export()
+
+  fallbacks: false, // true - missing and empty values are exported from language-REGION -> language -> default locale, { [locale]: [locales] } - custom chains (see fallbackLocales)
+
+  exportPolicy: ExportPolicy.All, // which values are exported (see ExportPolicy)
+  minApproval: 0, // 0..1, export fails if approved values rate of any locale is lower
+
+  staleMode: StaleMode.None, // what happens with translations when value of default locale is changed (see StaleMode, getStale)
+
+  fingerprints: false, // if true, applyChange of translation stores fingerprint of default locale value (~key=hash line), see getOutdated
+
+  compactBacklog: 500, // backlog @.i18n file is rewritten with net changes only, when it gets this count of lines longer than after the last rewrite (0 - never)
+
+  recovery: false, // if true, state errors are collected to state.problems (invalid lines and duplicates are skipped) instead of blocking all actions
+
   errorHandler: (error) => { throw error; },
-  exportHandler: (result, isError) => { if (isError) throw result; },
+  exportHandler: (result, isError, name) => { if (isError) throw result; }, // called for each exporter (name is from config.exporters)
+
+  exporters: [], // named exporters [{ name, preset?, file?, ... }] (see Ai18n.export), used instead of exporter / exporterPath if not empty
+
+  exporterPath: undefined, // relative path (from root path) to exporter file that is used instead of .i18n.js in directory
+  exporterModule: ExporterModule.Auto, // how exporter file is loaded (only a-i18n-node supports modules, others evaluate it)
 
   fs: FileSystem,
-  exporter: undefined /* {
+  exporter: undefined /* { preset, path?, ... } - built-in exporter (see ExporterPreset), or custom one {
     validate?(state) - throw error if invalid
     begin(file) -> fileData
-    insert(fileData, translation)
+    insert(fileData, translation) - translation.fallback is locale of value filled by fallbacks
     end?(file)
     save() - must return Promise
   } */
@@ -3,6 +3,7 @@ export const CommentLine = '/';
 export const ApprovedLine = '+';
 export const NotApprovedLine = '-';
 export const DeleteLine = '#';
+export const FingerprintLine = '~'; // ~key=fingerprint of source value the translation is made from
 
 export const KeyValueSeparator = '=';
 export const FullKeySeparator = '='; // As key don't contains =, we can use '=' to split fullKey.
@@ -11,12 +12,33 @@ export const I18n = '.i18n';
 export const DefaultLocale = 'en';
 export const DefaultI18n = DefaultLocale + I18n;
 export const BacklogI18n = '@.i18n';
+export const HistoryI18n = 'history@.i18n'; // undo / redo history (JSON) next to backlog files
 export const I18nJs = '.i18n.js';
 export const I18nConfig = '.i18n.json';
 
 export const LocaleRegExp = /^([a-z][a-z])(-[A-Z][A-Z])?$/;
 export const FileNameRegExp = /^(.*[^a-zA-Z])?([a-z][a-z])(-[A-Z][A-Z])?\.i18n$/; // must be without @ to ignore changes
 
+export const ExporterModule = {
+  Auto: 'auto', // imported as module if it has import / export statements (or assigns module.exports), otherwise evaluated as legacy
+  Module: 'module', // ES or CommonJS module with exporter factory as default export
+  Legacy: 'legacy' // body is evaluated with exporter as this-context
+};
+
+export const ExportPolicy = {
+  All: 'all', // all saved values
+  Approved: 'approved', // not approved values are missing
+  Fallback: 'fallback' // not approved values are replaced by approved values of fallback locales (see config.fallbacks)
+};
+
+export const StaleMode = {
+  Unapprove: 'unapprove', // source change (applyChange of default locale value) makes translations of other locales not approved
+  Review: 'review', // translations are kept, getStale() lists them until changed
+  None: 'none'
+};
+
+export const StaleIssue = 'Stale'; // code of getKeyInfo().issues
+
 export const AutoExport = 'auto';
 export const ManualExport = 'manual';
 
@@ -1,5 +1,5 @@
 
-import { KeyValueSeparator } from './Constants.js';
+import { I18nJs, KeyValueSeparator } from './Constants.js';
 
 
 export const ErrorCodes = {
@@ -14,10 +14,12 @@ export const ErrorCodes = {
   InvalidDirectory: 'InvalidDirectory',
   InvalidFile: 'InvalidFile',
   InvalidKey: 'InvalidKey',
+  KeyCollision: 'KeyCollision',
   InvalidOptions: 'InvalidOptions',
   NotUniqueI18nFiles: 'NotUniqueI18nFiles',
   NoI18nJsFiles: 'NoI18nJsFiles',
-  Export: 'Export'
+  Export: 'Export',
+  Lint: 'Lint'
 };
 
 export class I18nError extends Error {
@@ -32,28 +34,41 @@ export class I18nError extends Error {
   }
 }
 
+const formatLocation = ({ file, line, column } = {}) => {
+
+  if (!file && !line) {
+    return '';
+  }
+
+  return `\nLocation: ${file || ''}${line ? ':' + line : ''}${line && column ? ':' + column : ''}`;
+}
+
+// location = { file, line, column, key }, line and column are 1-based
 class StateError extends I18nError {
-  constructor(code, message) {
-    super(code, message);
+  constructor(code, message, location = {}) {
+    super(code, message + formatLocation(location));
     this.stateError = true;
+
+    const { file, line, column, key } = location;
+    Object.assign(this, { file, line, column, key });
   }
 }
 
 
 export class InvalidFormatError extends StateError {
-  constructor(rest) {
-    super(ErrorCodes.InvalidFormat, `Can't parse i18n content.\nInvalid content: ${rest}`);
+  constructor(content, location) {
+    super(ErrorCodes.InvalidFormat, `Can't parse i18n content.\nInvalid content: ${content}`, location);
   }
 }
 export class DuplicateKeyError extends StateError {
-  constructor(key) {
-    super(ErrorCodes.DuplicateKey, `All i18n-keys must be unique.\nFound duplicated key: ${key}`);
+  constructor(key, location = {}) {
+    super(ErrorCodes.DuplicateKey, `All i18n-keys must be unique.\nFound duplicated key: ${key}`, Object.assign({ key }, location));
   }
 }
 
 export class NotUniqueI18nFilesError extends StateError {
-  constructor(file1, file2) {
-    super(ErrorCodes.NotUniqueI18nFiles, `All locales of i18n-files must be unique.\nFound duplicated locale: ${file1} & ${file2}`)
+  constructor(file1, file2, location) {
+    super(ErrorCodes.NotUniqueI18nFiles, `All locales of i18n-files must be unique.\nFound duplicated locale: ${file1} & ${file2}`, location)
   }
 }
 
@@ -64,6 +79,14 @@ export class NotResolvedError extends I18nError {
   }
 }
 
+// recovery mode: skipped lines would be lost on save()
+export class UnresolvedProblemsError extends I18nError {
+  constructor(problems = []) {
+    super(ErrorCodes.NotResolvedError, `Before saving i18n, please fix ${problems.length} problem(s) of files or discard them (skipped lines would be lost):\n` + problems.map(p => `${p.file || ''}${p.line ? ':' + p.line : ''} ${p.code}`).join('\n'));
+    this.problems = problems;
+  }
+}
+
 export class NotLoadedError extends I18nError {
   constructor() {
     super(ErrorCodes.NotLoaded, 'Resources not loaded to make the action.');
@@ -90,8 +113,8 @@ export class KeyExistError extends I18nError {
 
 
 export class NoI18nJsFileError extends I18nError {
-  constructor() {
-    super(ErrorCodes.NoI18nJsFiles, `.i18n.js file not found to make new export.`)
+  constructor(path = I18nJs) {
+    super(ErrorCodes.NoI18nJsFiles, `${path} file not found to make new export.`)
   }
 }
 
@@ -108,8 +131,49 @@ export class InvalidPathError extends I18nError {
   }
 }
 
+export class UnknownExporterError extends I18nError {
+  constructor(preset, presets = []) {
+    super(ErrorCodes.Export, `Unknown exporter preset: ${preset}` + (presets.length > 0 ? `. Available presets: ${presets.join(', ')}` : ''));
+  }
+}
+
+export class ExporterNotFoundError extends I18nError {
+  constructor(name, names = []) {
+    super(ErrorCodes.Export, `Exporter not found: ${name}. Configured exporters: ${names.join(', ')}`);
+  }
+}
+
+export class LowApprovalError extends I18nError {
+  constructor(rates = {}, minApproval) {
+    const percent = (rate) => Math.floor(rate * 100) + '%';
+    super(ErrorCodes.Export, `Approved values rate is lower than ${percent(minApproval)}: ` + Object.keys(rates).map(locale => `${locale} ${percent(rates[locale])}`).join(', '));
+    this.rates = rates;
+  }
+}
+
+export class InvalidFileError extends I18nError {
+  constructor(path, reason) {
+    super(ErrorCodes.InvalidFile, `Invalid file: ${path}` + (reason ? `\n${reason}` : ''));
+  }
+}
+
 export class InvalidKeyError extends I18nError {
   constructor(key) {
     super(ErrorCodes.InvalidKey, `Key is invalid "${key}" (empty or contains ${KeyValueSeparator}).`);
   }
 }
+
+// keys that become the same in exported format
+export class KeyCollisionError extends I18nError {
+  constructor(key, otherKey, reason) {
+    super(ErrorCodes.KeyCollision, `Keys "${otherKey}" and "${key}" can't be exported together: ${reason}.`);
+    this.keys = [ otherKey, key ];
+  }
+}
+
+export class LintError extends I18nError {
+  constructor(problems = []) {
+    super(ErrorCodes.Lint, `Export is blocked by ${problems.length} lint error(s):\n` + problems.map(p => `${p.file}${p.line ? ':' + p.line : ''} ${p.code}: ${p.message} (key "${p.key}")`).join('\n'));
+    this.problems = problems;
+  }
+}
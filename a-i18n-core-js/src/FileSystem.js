@@ -79,7 +79,7 @@ export class FileSystem {
           if (!dir) return true;
 
           return that.existDirectory(dir)
-            .then(isExists => isExists ? true : that._fs.createDirectory(dir))
+            .then(isExists => isExists ? true : that._fs.createDirectory(that._resolveDirPath(dir)))
             .then(() => createPromise());
         }
 
@@ -90,6 +90,8 @@ export class FileSystem {
 
   pathTo (fileName) { return this._directory + fileName; }
 
+  resolvePath (path) { return this._resolveFilePath(path); }
+
   deleteFile (path) {
     const rPath = this._resolveFilePath(path);
     return this._fs.existFile(rPath)
@@ -111,13 +113,17 @@ export class FileSystem {
 
   writeFile (path, data = '', options = { encoding : Encoding }) { return this._fs.writeFile(this._resolveFilePath(path), data, options); }
 
+  // content is added as is and ended with new line, new line in the end of file is not checked in both modes (callers add it, see Ai18n._writeBacklog)
   appendContent (path, content, options = { encoding : Encoding }) {
+
+    const suffix = content[content.length - 1] === '\n' ? '' : '\n';
+
+    if (this._fs.appendFile) {
+      return this._fs.appendFile(this._resolveFilePath(path), content + suffix, options);
+    }
+
     return this.readFile(path, options)
-      .then(contentNow => {
-        const prefix = (contentNow.length === 0 || contentNow[contentNow.length - 1] === '\n') ? '' : '\n';
-        const suffix = content[content.length - 1] === '\n' ? '' : '\n';
-        return this.writeFile(path, contentNow + prefix + content + suffix, options);
-      });
+      .then(contentNow => this.writeFile(path, contentNow + content + suffix, options));
   }
 
   readDirectory (path = this._directory) { return this._fs.readDirectory(this._resolveDirPath(path)); }
@@ -0,0 +1,127 @@
+
+export const LintRule = {
+  Placeholders: 'placeholders', // {name}, {{name}}, %s, %1$d
+  Tags: 'tags', // <b>, </b>, <br/>
+  Whitespace: 'whitespace', // leading/trailing whitespaces
+  DoubleSpaces: 'doubleSpaces',
+  Punctuation: 'punctuation', // trailing . ! ? : ; …
+  Newlines: 'newlines' // count of \_
+};
+
+export const LintSeverity = {
+  Error: 'error', // blocks export()
+  Warning: 'warning',
+  Off: 'off'
+};
+
+// config.lint: { [rule]: severity } is merged with defaults (rules are opt-in), config.lint = false disables all rules
+export const LintDefaults = {
+  [LintRule.Placeholders]: LintSeverity.Off,
+  [LintRule.Tags]: LintSeverity.Off,
+  [LintRule.Whitespace]: LintSeverity.Off,
+  [LintRule.DoubleSpaces]: LintSeverity.Off,
+  [LintRule.Punctuation]: LintSeverity.Off,
+  [LintRule.Newlines]: LintSeverity.Off
+};
+
+
+const PlaceholderRegExp = /\{\{\s*[\w$.]+\s*\}\}|\{\s*[\w$.]+\s*\}|%(?:\d+\$)?[-+ 0#]*(?:\d+|\*)?(?:\.\d+)?(?:l{0,2}|h{0,2})[sdifuxXoeEgGc@]/g;
+const TagRegExp = /<\/?([A-Za-z][\w-]*)(?:\s[^<>]*)?\/?>/g;
+const NewlineRegExp = /\\_/g; // values are safe (see safeValue)
+
+// CJK full-width punctuation is the same as latin one
+const Punctuation = { '.': '.', '。': '.', '!': '!', '！': '!', '?': '?', '？': '?', ':': ':', '：': ':', ';': ';', '；': ';', '…': '…' };
+
+
+const matches = (value, re, normalize) => (value.replace(/%%/g, '').match(re) || []).map(normalize).sort();
+
+const sameList = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+const list = (items) => items.length > 0 ? items.join(', ') : 'none';
+
+const placeholders = (value) => matches(value, PlaceholderRegExp, placeholder => placeholder.replace(/\s+/g, ''));
+
+const tags = (value) => matches(value, TagRegExp, tag => tag.replace(/^<(\/?[\w-]+)[^]*?(\/?)>$/, '<$1$2>')); // without attributes
+
+const leading = (value) => value.match(/^(\s|\\_)*/)[0];
+const trailing = (value) => value.match(/(\s|\\_)*$/)[0];
+
+const visible = (spaces) => JSON.stringify(spaces.replace(/\\_/g, '\n'));
+
+function endPunctuation(value) {
+  const text = value.replace(/(\s|\\_)+$/, '');
+  return text.endsWith('...') ? '…' : (Punctuation[text[text.length - 1]] || '');
+}
+
+
+// (source, value) -> message if rule is broken
+const Rules = {
+
+  [LintRule.Placeholders]: (source, value) => {
+    const expected = placeholders(source), actual = placeholders(value);
+    return !sameList(expected, actual) && `Placeholders ${list(actual)} differ from ${list(expected)} of source`;
+  },
+
+  [LintRule.Tags]: (source, value) => {
+    const expected = tags(source), actual = tags(value);
+    return !sameList(expected, actual) && `Tags ${list(actual)} differ from ${list(expected)} of source`;
+  },
+
+  [LintRule.Whitespace]: (source, value) => {
+    if (leading(source) !== leading(value)) return `Leading whitespaces ${visible(leading(value))} differ from ${visible(leading(source))} of source`;
+    if (trailing(source) !== trailing(value)) return `Trailing whitespaces ${visible(trailing(value))} differ from ${visible(trailing(source))} of source`;
+    return false;
+  },
+
+  [LintRule.DoubleSpaces]: (source, value) => value.indexOf('  ') >= 0 && source.indexOf('  ') < 0 && 'Double spaces are not in source',
+
+  [LintRule.Punctuation]: (source, value) => {
+    const expected = endPunctuation(source), actual = endPunctuation(value);
+    return expected !== actual && `Trailing punctuation "${actual}" differs from "${expected}" of source`;
+  },
+
+  [LintRule.Newlines]: (source, value) => {
+    const expected = (source.match(NewlineRegExp) || []).length, actual = (value.match(NewlineRegExp) || []).length;
+    return expected !== actual && `Count of new lines ${actual} differs from ${expected} of source`;
+  }
+};
+
+
+// config.lint (and overrides of it) -> { [rule]: severity } of enabled rules
+export function lintRules(lint = {}, overrides = {}) {
+
+  const rules = Object.assign({}, lint === false ? {} : LintDefaults, lint || {}, overrides);
+  Object.keys(rules).filter(rule => !Rules[rule] || rules[rule] === LintSeverity.Off).forEach(rule => delete rules[rule]);
+
+  return rules;
+}
+
+// values: { [locale]: safe value } are compared with value of source locale
+// -> { [locale]: [{ code, severity, message }] } (locales without problems are skipped)
+export function lintValues(values = {}, sourceLocale, rules = LintDefaults) {
+
+  const problems = {};
+  const source = values[sourceLocale];
+
+  if (!source) {
+    return problems;
+  }
+
+  for (const locale of Object.keys(values)) {
+
+    const value = values[locale];
+    if (locale === sourceLocale || !value) {
+      continue;
+    }
+
+    for (const rule of Object.keys(rules)) {
+
+      const message = Rules[rule] && rules[rule] !== LintSeverity.Off && Rules[rule](source, value);
+      if (message) {
+        (problems[locale] = problems[locale] || []).push({ code: rule, severity: rules[rule], message });
+      }
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,39 @@
+
+import { LintRule, LintSeverity, lintRules, lintValues } from './Lint.js';
+
+
+const warnings = {};
+Object.values(LintRule).forEach(rule => warnings[rule] = LintSeverity.Warning);
+
+test('a-i18n-core-js.lintValues(): rules', () => {
+
+  const problems = lintValues({
+    en: 'Hello <b>{name}</b>, you have %1$d new %s.',
+    de: 'Hallo <b class="x">{name}</b>,  du hast %1$d neue %d ',
+    ja: 'こんにちは<b>{ name }</b>、%1$d %s。',
+    ru: 'Привет {name}\\_%1$d %s.',
+    es: ''
+  }, 'en', warnings);
+
+  const codes = (locale) => (problems[locale] || []).map(p => p.code);
+
+  expect(Object.keys(problems).sort()).toEqual([ 'de', 'ru' ]);
+  expect(codes('de')).toEqual([ LintRule.Placeholders, LintRule.Whitespace, LintRule.DoubleSpaces, LintRule.Punctuation ]);
+  expect(codes('ru')).toEqual([ LintRule.Tags, LintRule.Newlines ]);
+  expect(problems.de[0]).toEqual({ code: LintRule.Placeholders, severity: LintSeverity.Warning, message: 'Placeholders %1$d, %d, {name} differ from %1$d, %s, {name} of source' });
+
+  expect(lintValues({ en: '', de: '{x}' }, 'en', warnings)).toEqual({});
+  expect(lintValues({ en: '100%% {{count}} items...', de: '{{ count }} Elemente zu 100%%…' }, 'en', warnings)).toEqual({});
+  expect(lintValues({ en: 'Hello!', de: 'Hallo' }, 'en')).toEqual({}); // rules are off by default
+});
+
+test('a-i18n-core-js.lintRules(): config', () => {
+
+  expect(lintRules({})).toEqual({});
+  expect(lintRules({ tags: LintSeverity.Error, punctuation: LintSeverity.Off, unknown: LintSeverity.Error, newlines: LintSeverity.Warning })).toEqual({
+    tags: 'error', newlines: 'warning'
+  });
+
+  expect(lintRules(false)).toEqual({});
+  expect(lintRules(false, { tags: LintSeverity.Error })).toEqual({ tags: 'error' });
+});
@@ -1,5 +1,6 @@
 
-import { ApprovedLine, BacklogI18n, CommentLine, DeleteLine, FileNameRegExp, FullKeySeparator, I18n, I18nJs, KeyValueSeparator, NewLineSymbol, NewLineSymbolRegEx, NotApprovedLine } from './Constants.js';
+import { ApprovedLine, BacklogI18n, CommentLine, DeleteLine, FileNameRegExp, FingerprintLine, FullKeySeparator, I18n, I18nJs, KeyValueSeparator, NewLineSymbol, NewLineSymbolRegEx, NotApprovedLine } from './Constants.js';
+import { KeyCollisionError } from './Errors.js';
 
 
 export const simpleDebounce = (callback, time) => {
@@ -40,9 +41,70 @@ export const safeValue = (value = '') => value.replace(/\n/g, NewLineSymbol);
 export const unsafeValue = (value = '') => value.replace(NewLineSymbolRegEx, '\n');
 
 
+// serializable state error with location
+export const toStateError = (error) => {
+  const { code, message, file, line, column, key } = error;
+  return { code, message, file, line, column, key };
+}
+
+// parsed line without position in file
+export const lineToT = (parsedLine) => {
+  const t = Object.assign({}, parsedLine);
+  delete t.line;
+  return t;
+}
+
 export const commentLine = (key, comment) => CommentLine + key + KeyValueSeparator + safeValue(comment);
 export const valueLine = (approved, key, value) => (approved ? ApprovedLine : NotApprovedLine) + key + KeyValueSeparator + safeValue(value);
 export const deleteLine = (key) => DeleteLine + key;
+export const fingerprintLine = (key, fingerprint) => FingerprintLine + key + KeyValueSeparator + fingerprint;
+
+// safe value -> 8 hex chars of 32-bit FNV-1a hash
+export const fingerprint = (value = '') => {
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(16).padStart(8, '0');
+};
+
+
+// as example exporter does: 'a.b.c' -> { a: { b: { c: value } } }
+// path of any string value in nested object
+const nestedLeaf = (o, path, separator) => {
+  const prop = Object.keys(o)[0];
+  return typeof o[prop] === 'string' ? path + prop : nestedLeaf(o[prop], path + prop + separator, separator);
+};
+
+// throws KeyCollisionError if value of key is set and key is a parent of other key (a and a.b)
+export const setNested = (o, key, value, separator = '.') => {
+
+  const props = key.split(separator);
+  const lastProp = props.pop();
+
+  let path = '';
+  for (const prop of props) {
+
+    path += prop;
+
+    const inner = o[prop];
+    if (typeof inner === 'string') {
+      throw new KeyCollisionError(key, path, `value of "${path}" can't have nested keys`);
+    }
+
+    o = inner || (o[prop] = {});
+    path += separator;
+  }
+
+  if (o[lastProp] !== undefined && typeof o[lastProp] !== 'string') {
+    throw new KeyCollisionError(key, nestedLeaf(o[lastProp], key + separator, separator), `value of "${key}" can't have nested keys`);
+  }
+
+  o[lastProp] = value;
+}
 
 
 export const buildFK = (locale, key) => locale + FullKeySeparator + key;
@@ -50,12 +112,18 @@ export const splitFK = (fullKey) => fullKey.split(FullKeySeparator);
 
 export const strCompare = (a, b) => (a || '') === (b || '');
 
+// locale -> existing locales to fill its missing values from: custom chain of fallbacks[locale] or language-REGION -> language -> default locale
+export const fallbackLocales = (locale, locales = [], defaultLocale, fallbacks = {}) => {
+  const chain = fallbacks[locale] || [ locale.split('-')[0], defaultLocale ];
+  return chain.filter((l, i) => l !== locale && locales.indexOf(l) >= 0 && chain.indexOf(l) === i);
+};
+
 export const strIsEmpty = (str) => !str || str.trim().length === 0;
 export const strNotEmpty = (str) => str && str.trim().length > 0;
 
 export const boolCompare = (a, b) => (!!a) === (!!b);
 
-export const tCompare = (a, b) => (a === undefined && b === undefined) || (a && b && strCompare(a.value, b.value) && boolCompare(a.approved, b.approved) && strCompare(a.comment, b.comment));
+export const tCompare = (a, b) => (a === undefined && b === undefined) || (a && b && strCompare(a.value, b.value) && boolCompare(a.approved, b.approved) && strCompare(a.comment, b.comment) && strCompare(a.fingerprint, b.fingerprint));
 
 export const hasComment = (t) => t && t.comment && t.comment.length > 0;
 
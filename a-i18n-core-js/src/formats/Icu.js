@@ -0,0 +1,324 @@
+
+export const IcuFormat = {
+  Number: 'number',
+  Date: 'date',
+  Time: 'time',
+  Plural: 'plural',
+  SelectOrdinal: 'selectordinal',
+  Select: 'select'
+};
+
+const OptionsFormats = [ IcuFormat.Plural, IcuFormat.SelectOrdinal, IcuFormat.Select ];
+
+const isSpace = (c) => c === ' ' || c === '\t' || c === '\n' || c === '\r';
+
+
+export class IcuSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} (position ${position + 1})`);
+    this.position = position;
+  }
+}
+
+
+// ICU message -> nodes: string | { type: 'pound' } | { type: 'argument', name, format?, style?, offset?, options?: { [selector]: nodes } }
+export function parseIcu(message = '') {
+
+  let i = 0;
+
+  const skipSpaces = () => {
+    while (i < message.length && isSpace(message[i])) i++;
+  };
+
+  const readWord = () => {
+    const start = i;
+    while (i < message.length && !isSpace(message[i]) && ',{}'.indexOf(message[i]) < 0) i++;
+    return message.substring(start, i);
+  };
+
+  const expect = (c) => {
+    if (message[i] !== c) {
+      throw new IcuSyntaxError(i < message.length ? `Expected '${c}' instead of '${message[i]}'` : `Expected '${c}' at the end`, i);
+    }
+    i++;
+  };
+
+  function parseNodes(inPlural, depth) {
+
+    const nodes = [];
+    let text = '';
+
+    const pushText = () => {
+      if (text.length > 0) nodes.push(text);
+      text = '';
+    };
+
+    while (i < message.length) {
+
+      const c = message[i];
+
+      if (c === '\'') {
+
+        const next = message[i + 1];
+        if (next === '\'') { // '' -> '
+          text += '\'';
+          i += 2;
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) { // quoted literal
+          const end = message.indexOf('\'', i + 1);
+          text += message.substring(i + 1, end < 0 ? message.length : end).replace(/''/g, '\'');
+          i = end < 0 ? message.length : end + 1;
+        } else {
+          text += c;
+          i++;
+        }
+
+      } else if (c === '{') {
+        pushText();
+        nodes.push(parseArgument(depth));
+      } else if (c === '}') {
+
+        if (depth === 0) {
+          throw new IcuSyntaxError(`Unexpected '}'`, i);
+        }
+
+        break;
+
+      } else if (c === '#' && inPlural) {
+        pushText();
+        nodes.push({ type: 'pound' });
+        i++;
+      } else {
+        text += c;
+        i++;
+      }
+    }
+
+    pushText();
+    return nodes;
+  }
+
+  function parseArgument(depth) {
+
+    const start = i;
+    expect('{');
+    skipSpaces();
+
+    const name = readWord();
+    if (name.length === 0) {
+      throw new IcuSyntaxError('Expected argument name', i);
+    }
+
+    const argument = { type: 'argument', name };
+
+    skipSpaces();
+    if (message[i] === ',') {
+
+      i++;
+      skipSpaces();
+
+      const format = readWord();
+      if (Object.values(IcuFormat).indexOf(format) < 0) {
+        throw new IcuSyntaxError(`Unknown format '${format}' of argument '${name}'`, i - format.length);
+      }
+
+      argument.format = format;
+      skipSpaces();
+
+      if (message[i] === ',') {
+
+        i++;
+
+        if (OptionsFormats.indexOf(format) >= 0) {
+          parseOptions(argument, depth);
+        } else {
+
+          const styleStart = i;
+          while (i < message.length && message[i] !== '}' && message[i] !== '{') i++;
+          argument.style = message.substring(styleStart, i).trim();
+        }
+
+      } else if (OptionsFormats.indexOf(format) >= 0) {
+        throw new IcuSyntaxError(`Expected options of ${format} argument '${name}'`, i);
+      }
+    }
+
+    skipSpaces();
+    if (i >= message.length) {
+      throw new IcuSyntaxError(`Argument '${name}' is not closed`, start);
+    }
+
+    expect('}');
+    return argument;
+  }
+
+  function parseOptions(argument, depth) {
+
+    const inPlural = argument.format !== IcuFormat.Select;
+    argument.options = {};
+
+    skipSpaces();
+
+    if (inPlural && message.startsWith('offset:', i)) {
+      i += 'offset:'.length;
+      skipSpaces();
+      argument.offset = Number(readWord());
+      skipSpaces();
+    }
+
+    while (i < message.length && message[i] !== '}') {
+
+      const selector = readWord();
+      if (selector.length === 0) {
+        throw new IcuSyntaxError(`Expected selector of ${argument.format} argument '${argument.name}'`, i);
+      }
+
+      if (argument.options[selector]) {
+        throw new IcuSyntaxError(`Duplicated selector '${selector}' of argument '${argument.name}'`, i - selector.length);
+      }
+
+      skipSpaces();
+      expect('{');
+      argument.options[selector] = parseNodes(inPlural, depth + 1);
+      expect('}');
+      skipSpaces();
+    }
+
+    if (!argument.options.other) {
+      throw new IcuSyntaxError(`Missing 'other' option of ${argument.format} argument '${argument.name}'`, i);
+    }
+  }
+
+  return parseNodes(false, 0);
+}
+
+
+const Types = {
+  [IcuFormat.Number]: 'number',
+  [IcuFormat.Plural]: 'number',
+  [IcuFormat.SelectOrdinal]: 'number',
+  [IcuFormat.Date]: 'Date | number',
+  [IcuFormat.Time]: 'Date | number',
+  [IcuFormat.Select]: 'string'
+};
+
+export const IcuSimpleType = 'string | number';
+
+// ICU message -> { [argument name]: TypeScript type } (throws IcuSyntaxError)
+export function icuParams(message) {
+
+  const params = {};
+
+  const collect = (nodes) => {
+    for (const node of nodes) {
+
+      if (typeof node !== 'object' || node.type !== 'argument') {
+        continue;
+      }
+
+      const type = Types[node.format] || IcuSimpleType;
+
+      // typed formats are more specific than simple {name}
+      if (!params[node.name] || params[node.name] === IcuSimpleType) {
+        params[node.name] = type;
+      }
+
+      if (node.options) {
+        Object.values(node.options).forEach(collect);
+      }
+    }
+  };
+
+  collect(parseIcu(message));
+
+  return params;
+}
+
+
+export const IcuIssue = {
+  Syntax: 'IcuSyntax',
+  Params: 'IcuParams',
+  PluralCategory: 'IcuPluralCategory'
+};
+
+const ExactSelectorRegExp = /^=\d+(\.\d+)?$/;
+
+// locale (en, en-US) -> plural categories of cardinal / ordinal rules, or null if locale is not supported
+function pluralCategories(locale, type) {
+  try {
+    return Intl.PluralRules.supportedLocalesOf([ locale ]).length > 0 ? new Intl.PluralRules(locale, { type }).resolvedOptions().pluralCategories : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const sameNames = (a, b) => a.length === b.length && a.every(name => b.indexOf(name) >= 0);
+
+const placeholders = (names) => names.length > 0 ? names.map(name => `{${name}}`).join(', ') : 'none';
+
+// values: { [locale]: ICU message } -> { [locale]: [{ code, message, position? }] } (locales without issues are skipped)
+// placeholders are compared with value of default locale, plural selectors with plural rules of locale
+export function validateIcu(values = {}, defaultLocale) {
+
+  const issues = {};
+  const params = {};
+
+  const addIssue = (locale, code, message, position) => (issues[locale] = issues[locale] || []).push(position === undefined ? { code, message } : { code, message, position });
+
+  for (const locale of Object.keys(values)) {
+
+    const value = values[locale];
+    if (!value) {
+      continue;
+    }
+
+    let nodes;
+    try {
+      nodes = parseIcu(value);
+    } catch (e) {
+      if (!(e instanceof IcuSyntaxError)) throw e;
+      addIssue(locale, IcuIssue.Syntax, e.message, e.position);
+      continue;
+    }
+
+    const names = new Set();
+
+    const collect = (nodes) => {
+      for (const node of nodes) {
+
+        if (typeof node !== 'object' || node.type !== 'argument') {
+          continue;
+        }
+
+        names.add(node.name);
+
+        if (node.format === IcuFormat.Plural || node.format === IcuFormat.SelectOrdinal) {
+
+          const type = node.format === IcuFormat.Plural ? 'cardinal' : 'ordinal';
+          const categories = pluralCategories(locale, type);
+
+          Object.keys(node.options)
+            .filter(selector => categories && !ExactSelectorRegExp.test(selector) && categories.indexOf(selector) < 0)
+            .forEach(selector => addIssue(locale, IcuIssue.PluralCategory,
+              `Plural category '${selector}' of argument '${node.name}' is not used by locale ${locale} (expected: ${categories.join(', ')}, =N)`));
+        }
+
+        if (node.options) {
+          Object.values(node.options).forEach(collect);
+        }
+      }
+    };
+
+    collect(nodes);
+    params[locale] = Array.from(names).sort();
+  }
+
+  const expected = params[defaultLocale];
+  if (expected) {
+    Object.keys(params)
+      .filter(locale => locale !== defaultLocale && !sameNames(params[locale], expected))
+      .forEach(locale => addIssue(locale, IcuIssue.Params,
+        `Placeholders ${placeholders(params[locale])} differ from ${placeholders(expected)} of default locale ${defaultLocale}`));
+  }
+
+  return issues;
+}
@@ -0,0 +1,28 @@
+
+import { IcuIssue, validateIcu } from './Icu.js';
+
+
+test('a-i18n-core-js.validateIcu(): syntax, placeholders and plural categories', () => {
+
+  const issues = validateIcu({
+    en: '{count, plural, one {# file} other {# files}}',
+    ru: '{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}',
+    ja: '{count, plural, =0 {なし} other {# ファイル}}',
+    de: '{count, plural, one {# Datei} other {# Dateien}} in {folder}',
+    es: '{count, plural, one {# archivo} other {# archivos}',
+    fr: '{count, plural, one {# fichier} few {# fichiers} other {# fichiers}}',
+    it: '',
+    xx: '{count, plural, few {x} other {y}}' // unknown plural rules
+  }, 'en');
+
+  expect(Object.keys(issues).sort()).toEqual([ 'de', 'es', 'fr' ]);
+  expect(issues.de.map(i => i.code)).toEqual([ IcuIssue.Params ]);
+  expect(issues.de[0].message).toBe('Placeholders {count}, {folder} differ from {count} of default locale en');
+  expect(issues.es).toEqual([ { code: IcuIssue.Syntax, message: `Argument 'count' is not closed (position 1)`, position: 0 } ]);
+  expect(issues.fr.map(i => i.code)).toEqual([ IcuIssue.PluralCategory ]);
+
+  expect(validateIcu({ en: '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', de: '{n, selectordinal, one {#.} other {#.}}' }, 'en'))
+    .toEqual({ de: [ expect.objectContaining({ code: IcuIssue.PluralCategory }) ] });
+
+  expect(validateIcu({ en: 'Hello', de: 'Hallo {name}' }, 'en').de[0].message).toBe('Placeholders {name} differ from none of default locale en');
+});
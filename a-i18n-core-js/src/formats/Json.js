@@ -0,0 +1,39 @@
+
+export const JsonExtension = '.json';
+export const JsonFileNameRegExp = /^(.*[^a-zA-Z])?([a-z][a-z])(-[A-Z][A-Z])?\.json$/;
+
+
+export const isJsonFile = (fileName) => JsonFileNameRegExp.test(fileName);
+
+export const detectJsonLocale = (fileName) => {
+  const match = fileName.match(JsonFileNameRegExp);
+  return match ? match[2] + (match[3] || '') : undefined;
+};
+
+
+// { a: { b: 'Text' } } -> { 'a.b': 'Text' } (flat objects are kept as is)
+export function flattenJson(json, separator = '.', prefix = '', result = {}) {
+
+  if (json === null || json === undefined) {
+    return result;
+  }
+
+  if (typeof json !== 'object') {
+    result[prefix] = String(json);
+    return result;
+  }
+
+  for (const prop of Object.keys(json)) {
+    flattenJson(json[prop], separator, prefix.length > 0 ? prefix + separator + prop : prop, result);
+  }
+
+  return result;
+}
+
+// content of json file -> [{ locale, key, value }]
+export function parseJsonTranslations(content, locale, separator) {
+
+  const texts = flattenJson(JSON.parse(content), separator);
+
+  return Object.keys(texts).map(key => ({ locale, key, value: texts[key] }));
+}
@@ -0,0 +1,243 @@
+import { endWithSlash, strIsEmpty } from '../Utils.js';
+
+
+export const PoMode = {
+  Key: 'key', // msgid is i18n-key
+  Msgid: 'msgid' // msgid is text of default locale, msgctxt is i18n-key
+};
+
+export const PoExtension = '.po';
+export const PoFileNameRegExp = /^(.*[^a-zA-Z])?([a-z][a-z])([-_][A-Z][A-Z])?\.po$/;
+
+export const PoDefaults = {
+  path: './po/',
+  mode: PoMode.Key,
+  template: 'template.pot' // false to skip .pot file
+};
+
+const FuzzyFlag = 'fuzzy';
+
+
+export const isPoFile = (fileName) => PoFileNameRegExp.test(fileName);
+
+export const detectPoLocale = (fileName) => {
+  const match = fileName.match(PoFileNameRegExp);
+  return match ? match[2] + (match[3] ? '-' + match[3].substring(1) : '') : undefined;
+};
+
+
+const escapePo = (value = '') => value
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\t/g, '\\t')
+  .replace(/\n/g, '\\n');
+
+const unescapePo = (value = '') => value.replace(/\\(.)/g, (_, symbol) => {
+  switch (symbol) {
+    case 'n': return '\n';
+    case 't': return '\t';
+    case 'r': return '\r';
+    default: return symbol;
+  }
+});
+
+function poString(name, value = '') {
+
+  if (value.indexOf('\n') < 0 || value.indexOf('\n') === value.length - 1) {
+    return [ `${name} "${escapePo(value)}"` ];
+  }
+
+  const parts = value.split('\n');
+  return [ `${name} ""` ].concat(parts.map((part, i) => `"${escapePo(i < parts.length - 1 ? part + '\n' : part)}"`).filter(line => line !== '""'));
+}
+
+function poHeader(locale) {
+  return [
+    'msgid ""',
+    'msgstr ""',
+    locale ? `"Language: ${locale}\\n"` : undefined,
+    '"MIME-Version: 1.0\\n"',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Content-Transfer-Encoding: 8bit\\n"',
+    ''
+  ].filter(line => line !== undefined);
+}
+
+// { key, comment, value, approved }, source is text of default locale
+function poEntry(t, mode, source, isTemplate) {
+
+  const lines = [];
+
+  if (!strIsEmpty(t.comment)) {
+    t.comment.split('\n').forEach(line => lines.push('#. ' + line));
+  }
+
+  const value = isTemplate ? '' : (t.value || '');
+  if (!isTemplate && !t.approved && value.length > 0) {
+    lines.push('#, ' + FuzzyFlag);
+  }
+
+  if (mode === PoMode.Msgid) {
+    lines.push(...poString('msgctxt', t.key), ...poString('msgid', source || ''));
+  } else {
+    lines.push(...poString('msgid', t.key));
+  }
+
+  lines.push(...poString('msgstr', value), '');
+
+  return lines;
+}
+
+
+// exporter for Ai18n.export(): <locale>.po files and .pot template of default locale
+export function createPoExporter(options = {}) {
+
+  const { path, mode, template } = Object.assign({}, PoDefaults, options);
+
+  const files = [];
+
+  return {
+
+    begin(file) {
+      const fileData = { locale: file.locale, translations: [] };
+      files.push(fileData);
+      return fileData;
+    },
+
+    insert(fileData, t) {
+      // values of fallback locales (see config.fallbacks) are still missing for translators
+      fileData.translations.push(t.fallback ? Object.assign({}, t, { value: '', approved: false }) : t);
+    },
+
+    save() {
+
+      const exported = files.splice(0); // exporter can be reused by next export
+
+      const defaultLocale = this.config.defaultLocale;
+      const defaultFile = exported.find(f => f.locale === defaultLocale) || { translations: [] };
+
+      const sources = {};
+      defaultFile.translations.forEach(t => sources[t.key] = t.value);
+
+      const contents = {};
+
+      const build = (fileData, isTemplate) => {
+        const lines = poHeader(isTemplate ? undefined : fileData.locale);
+        fileData.translations.forEach(t => lines.push(...poEntry(t, mode, sources[t.key], isTemplate)));
+        return lines.join('\n');
+      };
+
+      exported.forEach(fileData => contents[fileData.locale + PoExtension] = build(fileData, false));
+
+      if (template) {
+        contents[template] = build(defaultFile, true);
+      }
+
+      const directory = endWithSlash(path);
+      const fileNames = Object.keys(contents);
+
+      return this.fs.createPath(directory + fileNames[0])
+        .then(() => Promise.all(fileNames.map(fileName => this.fs.writeFile(directory + fileName, contents[fileName]))))
+        .then(() => 'Exported files: ' + fileNames.join(', ') + '.');
+    }
+  };
+}
+
+
+// -> { language, entries: [{ msgctxt, msgid, msgstr, flags, comments }] }
+export function parsePo(content = '') {
+
+  const entries = [];
+  let language;
+
+  let entry = null;
+  let field = null;
+
+  const flush = () => {
+    if (entry && entry.msgid !== undefined) {
+
+      if (entry.msgid === '' && entry.msgctxt === undefined) { // header
+        const match = (entry.msgstr || '').match(/^Language:\s*(\S+)\s*$/m);
+        language = match ? match[1].replace('_', '-') : undefined;
+      } else {
+        entries.push(entry);
+      }
+    }
+    entry = null;
+    field = null;
+  };
+
+  const current = () => entry = entry || { flags: [], comments: [] };
+
+  for (const rawLine of content.split(/\r\n|\r|\n/)) {
+
+    const line = rawLine.trim();
+
+    if (line.length === 0) {
+      flush();
+      continue;
+    }
+
+    if (line.startsWith('#~')) { // obsolete entry
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+
+      if (entry && entry.msgid !== undefined) flush(); // entries without empty line between
+
+      if (line.startsWith('#,')) {
+        current().flags.push(...line.substring(2).split(',').map(flag => flag.trim()).filter(flag => flag.length > 0));
+      } else if (line.startsWith('#.')) {
+        current().comments.push(line.substring(2).trim());
+      }
+
+      continue;
+    }
+
+    const match = line.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+"(.*)"$/);
+    if (match) {
+
+      const name = match[1] === 'msgstr[0]' ? 'msgstr' : match[1];
+      if ((name === 'msgctxt' || name === 'msgid') && entry && entry.msgid !== undefined) flush();
+
+      field = name;
+      current()[field] = unescapePo(match[2]);
+      continue;
+    }
+
+    if (line.startsWith('"') && line.endsWith('"') && field) {
+      current()[field] += unescapePo(line.substring(1, line.length - 1));
+    }
+  }
+
+  flush();
+
+  return { language, entries };
+}
+
+// content of .po file -> [{ locale, key, value, approved }], keys are resolved by source texts if msgctxt is missing in msgid mode
+export function parsePoTranslations(content, locale, mode = PoMode.Key, sourceKeys = {}) {
+
+  const { language, entries } = parsePo(content);
+  locale = locale || language;
+
+  const translations = [];
+
+  for (const entry of entries) {
+
+    const key = mode === PoMode.Msgid ? (entry.msgctxt !== undefined ? entry.msgctxt : sourceKeys[entry.msgid]) : entry.msgid;
+    if (!key || strIsEmpty(entry.msgstr)) {
+      continue;
+    }
+
+    translations.push({
+      locale,
+      key,
+      value: entry.msgstr,
+      approved: entry.flags.indexOf(FuzzyFlag) < 0
+    });
+  }
+
+  return translations;
+}
@@ -0,0 +1,53 @@
+
+import { PoMode, parsePo, parsePoTranslations } from './Po.js';
+
+
+const content = [
+  'msgid ""',
+  'msgstr ""',
+  '"Language: pt_BR\\n"',
+  '',
+  '#. Greeting',
+  'msgctxt "a.b"',
+  'msgid "Hi"',
+  'msgstr "Olá"',
+  '',
+  '#, fuzzy',
+  'msgid "Two lines"',
+  'msgstr ""',
+  '"Duas\\n"',
+  '"linhas \\"q\\""',
+  '',
+  'msgid "Empty"',
+  'msgstr ""',
+  '',
+  '#~ msgid "Obsolete"',
+  '#~ msgstr "Obsoleto"',
+  ''
+].join('\n');
+
+
+test('a-i18n-core-js.parsePo(): header, comments, flags and multiline strings', () => {
+
+  const { language, entries } = parsePo(content);
+
+  expect(language).toBe('pt-BR');
+  expect(entries).toEqual([
+    { msgctxt: 'a.b', msgid: 'Hi', msgstr: 'Olá', flags: [], comments: ['Greeting'] },
+    { msgid: 'Two lines', msgstr: 'Duas\nlinhas "q"', flags: ['fuzzy'], comments: [] },
+    { msgid: 'Empty', msgstr: '', flags: [], comments: [] }
+  ]);
+});
+
+test('a-i18n-core-js.parsePoTranslations(): keys by mode', () => {
+
+  expect(parsePoTranslations(content, undefined, PoMode.Key)).toEqual([
+    { locale: 'pt-BR', key: 'Hi', value: 'Olá', approved: true },
+    { locale: 'pt-BR', key: 'Two lines', value: 'Duas\nlinhas "q"', approved: false }
+  ]);
+
+  expect(parsePoTranslations(content, 'pt', PoMode.Msgid, { 'Two lines': 'a.c' })).toEqual([
+    { locale: 'pt', key: 'a.b', value: 'Olá', approved: true },
+    { locale: 'pt', key: 'a.c', value: 'Duas\nlinhas "q"', approved: false }
+  ]);
+});
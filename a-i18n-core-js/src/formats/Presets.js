@@ -0,0 +1,194 @@
+import { KeyCollisionError, UnknownExporterError } from '../Errors.js';
+import { endWithSlash, setNested, strIsEmpty, toPromise } from '../Utils.js';
+import { createPoExporter } from './Po.js';
+import { createXliffExporter, escapeXml } from './Xliff.js';
+import { createTypesExporter } from './Types.js';
+
+
+export const ExporterPreset = {
+  Json: 'json', // <locale>.json, nested by "."
+  JsonFlat: 'json-flat', // <locale>.json, keys as is
+  Esm: 'esm', // <locale>.js with nested object as default export
+  I18next: 'i18next', // <locale>/<namespace>.json
+  VueI18n: 'vue-i18n', // messages.json with nested objects of all locales
+  Android: 'android', // values-<lang>[-r<REGION>]/strings.xml (values/ for default locale)
+  Ios: 'ios', // <locale>.lproj/Localizable.strings
+  Properties: 'properties', // <name>_<lang>[_<REGION>].properties
+  Po: 'po', // see formats/Po.js
+  Xliff: 'xliff', // see formats/Xliff.js
+  Types: 'types' // see formats/Types.js
+};
+
+export const PresetDefaults = {
+  path: './dist/',
+  namespace: 'translation', // i18next
+  fileName: 'messages.json', // vue-i18n
+  name: 'messages' // properties
+};
+
+
+const nested = (translations) => {
+  const o = {};
+  translations.forEach(t => setNested(o, t.key, t.value));
+  return o;
+};
+
+const flat = (translations) => {
+  const o = {};
+  translations.forEach(t => o[t.key] = t.value);
+  return o;
+};
+
+const toJson = (o) => JSON.stringify(o, undefined, 2) + '\n';
+
+const lines = (...l) => l.concat('').join('\n');
+
+
+const escapeAndroid = (value) => escapeXml(value
+  .replace(/\\/g, '\\\\')
+  .replace(/'/g, '\\\'')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/^([@?])/, '\\$1'));
+
+const androidName = (key) => key.replace(/[^a-zA-Z0-9_]/g, '_');
+
+// a.b and a_b are the same resource name
+const androidNames = (translations) => {
+
+  const keys = {};
+
+  return translations.map(t => {
+
+    const name = androidName(t.key);
+    if (keys[name] !== undefined && keys[name] !== t.key) {
+      throw new KeyCollisionError(t.key, keys[name], `both are resource name "${name}"`);
+    }
+
+    keys[name] = t.key;
+    return name;
+  });
+};
+
+const androidValues = (locale, defaultLocale) => {
+  if (locale === defaultLocale) return 'values';
+  const [ language, region ] = locale.split('-');
+  return 'values-' + language + (region ? '-r' + region : '');
+};
+
+const escapeStrings = (value) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+const escapeProperties = (value, isKey) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(isKey ? /([ =:#!])/g : /^( )/, '\\$1')
+  .replace(/[^\x20-\x7e]/g, symbol => '\\u' + symbol.charCodeAt(0).toString(16).padStart(4, '0'));
+
+
+// preset -> ([{ locale, translations }], options, config) -> { [file path relative to options.path]: content }
+const Builders = {
+
+  [ExporterPreset.Json]: (files) => Object.fromEntries(files.map(f => [ f.locale + '.json', toJson(nested(f.translations)) ])),
+
+  [ExporterPreset.JsonFlat]: (files) => Object.fromEntries(files.map(f => [ f.locale + '.json', toJson(flat(f.translations)) ])),
+
+  [ExporterPreset.Esm]: (files) => Object.fromEntries(files.map(f => [ f.locale + '.js', 'export default ' + JSON.stringify(nested(f.translations), undefined, 2) + ';\n' ])),
+
+  [ExporterPreset.I18next]: (files, { namespace }) => Object.fromEntries(files.map(f => [ f.locale + '/' + namespace + '.json', toJson(nested(f.translations)) ])),
+
+  [ExporterPreset.VueI18n]: (files, { fileName }) => ({
+    [fileName]: toJson(Object.fromEntries(files.map(f => [ f.locale, nested(f.translations) ])))
+  }),
+
+  [ExporterPreset.Android]: (files, options, config) => Object.fromEntries(files.map(f => {
+
+    const names = androidNames(f.translations);
+
+    return [
+      androidValues(f.locale, config.defaultLocale) + '/strings.xml',
+      lines(
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<resources>',
+        ...f.translations.reduce((result, t, i) => result.concat(
+          strIsEmpty(t.comment) ? [] : [ `  <!-- ${t.comment.replace(/--/g, '- -')} -->` ],
+          [ `  <string name="${names[i]}">${escapeAndroid(t.value)}</string>` ]
+        ), []),
+        '</resources>'
+      )
+    ];
+  })),
+
+  [ExporterPreset.Ios]: (files) => Object.fromEntries(files.map(f => [
+    f.locale + '.lproj/Localizable.strings',
+    lines(...f.translations.map(t => (strIsEmpty(t.comment) ? '' : `/* ${t.comment.replace(/\*\//g, '* /')} */\n`) + `"${escapeStrings(t.key)}" = "${escapeStrings(t.value)}";`))
+  ])),
+
+  [ExporterPreset.Properties]: (files, { name }) => Object.fromEntries(files.map(f => [
+    name + '_' + f.locale.replace('-', '_') + '.properties',
+    lines(...f.translations.map(t => (strIsEmpty(t.comment) ? '' : t.comment.split('\n').map(c => '# ' + c + '\n').join('')) + escapeProperties(t.key, true) + '=' + escapeProperties(t.value, false)))
+  ]))
+};
+
+
+// exporter built from one of Builders (empty values are skipped, so runtime can fall back to other locale)
+function createBuilderExporter(build, options) {
+
+  options = Object.assign({}, PresetDefaults, options);
+
+  const files = [];
+
+  return {
+
+    begin(file) {
+      const fileData = { locale: file.locale, translations: [] };
+      files.push(fileData);
+      return fileData;
+    },
+
+    insert(fileData, t) {
+      if (!strIsEmpty(t.value)) {
+        fileData.translations.push(t);
+      }
+    },
+
+    save() {
+      return toPromise(() => build(files.splice(0), options, this.config)) // key collisions are rejected
+        .then(contents => {
+
+          const directory = endWithSlash(options.path);
+          const fileNames = Object.keys(contents);
+
+          // paths are created one by one, as they can have common parent directories
+          return fileNames.reduce((promise, fileName) => promise.then(() => this.fs.createPath(directory + fileName)), Promise.resolve())
+            .then(() => Promise.all(fileNames.map(fileName => this.fs.writeFile(directory + fileName, contents[fileName]))))
+            .then(() => 'Exported files: ' + fileNames.join(', ') + '.');
+        });
+    }
+  };
+}
+
+// options from config / .i18n.json: { preset, path?, ...options of preset }
+export const isPresetExporter = (exporter) => !!exporter && typeof exporter.preset === 'string';
+
+export function createPresetExporter(options = {}) {
+
+  const { preset } = options;
+
+  const presetOptions = Object.assign({}, options);
+  delete presetOptions.preset;
+
+  switch (preset) {
+    case ExporterPreset.Po: return createPoExporter(presetOptions);
+    case ExporterPreset.Xliff: return createXliffExporter(presetOptions);
+    case ExporterPreset.Types: return createTypesExporter(presetOptions);
+  }
+
+  if (!Builders[preset]) {
+    throw new UnknownExporterError(preset, Object.values(ExporterPreset));
+  }
+
+  return createBuilderExporter(Builders[preset], presetOptions);
+}
@@ -0,0 +1,81 @@
+
+import { ExporterPreset, createPresetExporter } from './Presets.js';
+import { ErrorCodes } from '../Errors.js';
+
+
+const exportPreset = (options, translations = []) => {
+
+  const written = {};
+  const exporter = Object.assign({
+    config: { defaultLocale: 'en' },
+    fs: {
+      createPath: () => Promise.resolve(),
+      writeFile: (path, content) => Promise.resolve(written[path] = content)
+    }
+  }, createPresetExporter(options));
+
+  const en = exporter.begin({ locale: 'en' });
+  exporter.insert(en, { key: 'a.b', value: 'It\'s "B"\nnext', comment: 'Comment', approved: true });
+  exporter.insert(en, { key: 'a.c', value: '', approved: false });
+  translations.forEach(t => exporter.insert(en, t));
+
+  const ptBR = exporter.begin({ locale: 'pt-BR' });
+  exporter.insert(ptBR, { key: 'a.b', value: 'É <b>', approved: false });
+
+  return exporter.save().then(() => written);
+};
+
+
+test('a-i18n-core-js.createPresetExporter(): json presets', () => {
+  return Promise.all([
+    exportPreset({ preset: ExporterPreset.Json }),
+    exportPreset({ preset: ExporterPreset.JsonFlat, path: './out' }),
+    exportPreset({ preset: ExporterPreset.I18next }),
+    exportPreset({ preset: ExporterPreset.VueI18n })
+  ])
+    .then(([ json, jsonFlat, i18next, vueI18n ]) => {
+
+      expect(Object.keys(json)).toEqual([ './dist/en.json', './dist/pt-BR.json' ]);
+      expect(JSON.parse(json['./dist/en.json'])).toEqual({ a: { b: 'It\'s "B"\nnext' } });
+
+      expect(JSON.parse(jsonFlat['./out/pt-BR.json'])).toEqual({ 'a.b': 'É <b>' });
+
+      expect(Object.keys(i18next)).toEqual([ './dist/en/translation.json', './dist/pt-BR/translation.json' ]);
+
+      expect(JSON.parse(vueI18n['./dist/messages.json'])).toEqual({ en: { a: { b: 'It\'s "B"\nnext' } }, 'pt-BR': { a: { b: 'É <b>' } } });
+    });
+});
+
+test('a-i18n-core-js.createPresetExporter(): platform presets', () => {
+  return Promise.all([
+    exportPreset({ preset: ExporterPreset.Android }),
+    exportPreset({ preset: ExporterPreset.Ios }),
+    exportPreset({ preset: ExporterPreset.Properties })
+  ])
+    .then(([ android, ios, properties ]) => {
+
+      expect(Object.keys(android)).toEqual([ './dist/values/strings.xml', './dist/values-pt-rBR/strings.xml' ]);
+      expect(android['./dist/values/strings.xml']).toContain('  <!-- Comment -->\n  <string name="a_b">It\\\'s \\&quot;B\\&quot;\\nnext</string>\n');
+      expect(android['./dist/values-pt-rBR/strings.xml']).toContain('<string name="a_b">É &lt;b&gt;</string>');
+
+      expect(ios['./dist/en.lproj/Localizable.strings']).toBe('/* Comment */\n"a.b" = "It\'s \\"B\\"\\nnext";\n');
+
+      expect(properties['./dist/messages_pt_BR.properties']).toBe('a.b=\\u00c9 <b>\n');
+    });
+});
+
+test('a-i18n-core-js.createPresetExporter(): unknown preset', () => {
+  expect(() => createPresetExporter({ preset: 'unknown' })).toThrow(expect.objectContaining({ code: ErrorCodes.Export }));
+});
+
+test('a-i18n-core-js.createPresetExporter(): key collisions', () => {
+
+  const collision = (keys) => expect.objectContaining({ code: ErrorCodes.KeyCollision, keys });
+
+  return Promise.all([
+    expect(exportPreset({ preset: ExporterPreset.Json }, [ { key: 'a', value: 'A' } ])).rejects.toEqual(collision([ 'a.b', 'a' ])),
+    expect(exportPreset({ preset: ExporterPreset.VueI18n }, [ { key: 'a.b.c', value: 'C' } ])).rejects.toEqual(collision([ 'a.b', 'a.b.c' ])),
+    expect(exportPreset({ preset: ExporterPreset.Android }, [ { key: 'a_b', value: 'B' } ])).rejects.toEqual(collision([ 'a.b', 'a_b' ])),
+    expect(exportPreset({ preset: ExporterPreset.JsonFlat }, [ { key: 'a', value: 'A' } ])).resolves.toBeDefined()
+  ]);
+});
@@ -0,0 +1,128 @@
+import { endWithSlash, setNested } from '../Utils.js';
+import { IcuSimpleType, icuParams } from './Icu.js';
+
+
+export const TypesMode = {
+  Union: 'union', // type I18nKey = 'a.b' | 'a.c'
+  Nested: 'nested' // + interface I18nTexts { a: { b: string; c: string } }
+};
+
+export const TypesDefaults = {
+  path: './dist/',
+  fileName: 'i18n.d.ts',
+  mode: TypesMode.Union
+};
+
+const IdentifierRegExp = /^[A-Za-z_$][\w$]*$/;
+
+// not ICU messages, e.g. {{name}} of i18next
+const PlaceholderRegExp = /\{\{?\s*([A-Za-z_$][\w$]*)\s*\}?\}/g;
+
+
+const quote = (key) => `'${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+const propertyName = (name) => IdentifierRegExp.test(name) ? name : quote(name);
+
+// value of default locale -> { [param]: type }
+export function textParams(value = '') {
+
+  try {
+    return icuParams(value);
+  } catch (e) {
+
+    const params = {};
+
+    let match;
+    while ((match = PlaceholderRegExp.exec(value)) !== null) {
+      params[match[1]] = IcuSimpleType;
+    }
+
+    return params;
+  }
+}
+
+const paramsType = (params) => '{ ' + Object.keys(params).map(name => `${propertyName(name)}: ${params[name]}`).join('; ') + ' }';
+
+function nestedInterface(o, indent) {
+
+  const lines = [];
+  for (const name of Object.keys(o)) {
+    if (typeof o[name] === 'string') {
+      lines.push(`${indent}${propertyName(name)}: string;`);
+    } else {
+      lines.push(`${indent}${propertyName(name)}: {`, ...nestedInterface(o[name], indent + '  '), `${indent}};`);
+    }
+  }
+
+  return lines;
+}
+
+// keys (sorted) and values of default locale -> content of .d.ts
+export function buildTypes(keys, values = {}, mode = TypesMode.Union) {
+
+  const lines = [ '// Generated by a-i18n, do not edit.', '' ];
+
+  if (mode === TypesMode.Nested) {
+
+    const o = {};
+    keys.forEach(key => setNested(o, key, ''));
+
+    lines.push('export interface I18nTexts {', ...nestedInterface(o, '  '), '}', '');
+  }
+
+  lines.push(keys.length > 0 ? 'export type I18nKey =' : 'export type I18nKey = never;');
+  keys.forEach((key, i) => lines.push(`  | ${quote(key)}` + (i === keys.length - 1 ? ';' : '')));
+
+  lines.push('', 'export interface I18nParams {');
+  for (const key of keys) {
+    const params = textParams(values[key]);
+    if (Object.keys(params).length > 0) {
+      lines.push(`  ${quote(key)}: ${paramsType(params)};`);
+    }
+  }
+  lines.push('}', '');
+
+  lines.push('export type I18nParamsOf<K extends I18nKey> = K extends keyof I18nParams ? I18nParams[K] : undefined;', '');
+
+  return lines.join('\n');
+}
+
+
+// exporter for Ai18n.export(): one .d.ts with keys of all files and params of config.defaultLocale texts
+export function createTypesExporter(options = {}) {
+
+  const { path, fileName, mode } = Object.assign({}, TypesDefaults, options);
+
+  let keys = new Set();
+  let values = {};
+
+  return {
+
+    begin(file) {
+      return file.locale;
+    },
+
+    insert(locale, t) {
+
+      keys.add(t.key);
+
+      if (locale === this.config.defaultLocale) {
+        values[t.key] = t.value;
+      }
+    },
+
+    save() {
+
+      const content = buildTypes(Array.from(keys).sort(), values, mode);
+
+      keys = new Set(); // exporter can be reused by next export
+      values = {};
+
+      const filePath = endWithSlash(path) + fileName;
+
+      return this.fs.createPath(filePath)
+        .then(() => this.fs.writeFile(filePath, content))
+        .then(() => 'Exported files: ' + fileName + '.');
+    }
+  };
+}
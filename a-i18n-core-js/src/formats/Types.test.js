@@ -0,0 +1,28 @@
+
+import { TypesMode, buildTypes, textParams } from './Types.js';
+
+
+test('a-i18n-core-js.textParams(): ICU arguments and placeholders', () => {
+
+  expect(textParams('Plain text')).toEqual({});
+  expect(textParams('Hi {name}, {count, plural, one {# message from {sender}} other {# messages}}')).toEqual({ name: 'string | number', count: 'number', sender: 'string | number' });
+  expect(textParams('{n, number} {d, date, short} {t, time} {g, select, male {He} other {They}} {p}, {p, selectordinal, other {#th}}')).toEqual({ n: 'number', d: 'Date | number', t: 'Date | number', g: 'string', p: 'number' });
+  expect(textParams(`It''s '{'quoted'}'`)).toEqual({});
+  expect(textParams('Hello {{user}}')).toEqual({ user: 'string | number' }); // not ICU
+});
+
+test('a-i18n-core-js.buildTypes(): union and nested', () => {
+
+  const keys = [ 'a.b', 'a.c', 'it\'s' ];
+  const values = { 'a.b': 'Hi {name}' };
+
+  const union = buildTypes(keys, values, TypesMode.Union);
+  expect(union).toContain(`export type I18nKey =\n  | 'a.b'\n  | 'a.c'\n  | 'it\\'s';\n`);
+  expect(union).toContain(`export interface I18nParams {\n  'a.b': { name: string | number };\n}\n`);
+  expect(union).not.toContain('I18nTexts');
+
+  const nested = buildTypes(keys, values, TypesMode.Nested);
+  expect(nested).toContain(`export interface I18nTexts {\n  a: {\n    b: string;\n    c: string;\n  };\n  'it\\'s': string;\n}\n`);
+
+  expect(buildTypes([])).toContain('export type I18nKey = never;');
+});
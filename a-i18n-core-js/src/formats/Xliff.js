@@ -0,0 +1,300 @@
+import { endWithSlash, strIsEmpty } from '../Utils.js';
+
+
+export const XliffVersion = {
+  V12: '1.2',
+  V20: '2.0'
+};
+
+export const XliffExtension = '.xlf';
+export const XliffFileNameRegExp = /^(.*[^a-zA-Z])?([a-z][a-z])([-_][A-Z][A-Z])?\.(?:xlf|xliff)$/;
+
+export const XliffDefaults = {
+  path: './xliff/',
+  version: XliffVersion.V12
+};
+
+// approved -> final, not approved -> needs review, empty -> new
+const States = {
+  [XliffVersion.V12]: { approved: 'final', notApproved: 'needs-review-translation', empty: 'new' },
+  [XliffVersion.V20]: { approved: 'final', notApproved: 'translated', empty: 'initial' }
+};
+
+const Namespaces = {
+  [XliffVersion.V12]: 'urn:oasis:names:tc:xliff:document:1.2',
+  [XliffVersion.V20]: 'urn:oasis:names:tc:xliff:document:2.0'
+};
+
+
+export const isXliffFile = (fileName) => XliffFileNameRegExp.test(fileName);
+
+export const detectXliffLocale = (fileName) => {
+  const match = fileName.match(XliffFileNameRegExp);
+  return match ? match[2] + (match[3] ? '-' + match[3].substring(1) : '') : undefined;
+};
+
+
+export const escapeXml = (value = '') => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const Entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+const unescapeXml = (value = '') => value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (entity, name) => {
+
+  if (name[0] === '#') {
+    return String.fromCodePoint(name[1] === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10));
+  }
+
+  return Entities[name] !== undefined ? Entities[name] : entity;
+});
+
+
+// t of target locale, source is t of default locale
+function xliffUnit(t, source = {}, version) {
+
+  const states = States[version];
+  const value = t.value || '';
+  const state = value.length === 0 ? states.empty : (t.approved ? states.approved : states.notApproved);
+  const comment = t.comment || source.comment;
+
+  const id = escapeXml(t.key);
+  const note = strIsEmpty(comment) ? [] : [ `<note>${escapeXml(comment)}</note>` ];
+
+  if (version === XliffVersion.V20) {
+    return [
+      `    <unit id="${id}">`,
+      ...(note.length > 0 ? [ '      <notes>', '        ' + note[0], '      </notes>' ] : []),
+      `      <segment state="${state}">`,
+      `        <source>${escapeXml(source.value)}</source>`,
+      `        <target>${escapeXml(value)}</target>`,
+      '      </segment>',
+      '    </unit>'
+    ];
+  }
+
+  return [
+    `      <trans-unit id="${id}">`,
+    `        <source>${escapeXml(source.value)}</source>`,
+    `        <target state="${state}">${escapeXml(value)}</target>`,
+    ...note.map(line => '        ' + line),
+    '      </trans-unit>'
+  ];
+}
+
+function xliffDocument(units, sourceLocale, targetLocale, version) {
+
+  const body = units.reduce((lines, unit) => lines.concat(unit), []);
+
+  if (version === XliffVersion.V20) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<xliff xmlns="${Namespaces[version]}" version="${version}" srcLang="${sourceLocale}" trgLang="${targetLocale}">`,
+      '  <file id="a-i18n">',
+      ...body,
+      '  </file>',
+      '</xliff>',
+      ''
+    ].join('\n');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${Namespaces[version]}" version="${version}">`,
+    `  <file original="a-i18n" datatype="plaintext" source-language="${sourceLocale}" target-language="${targetLocale}">`,
+    '    <body>',
+    ...body,
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+
+// exporter for Ai18n.export(): <locale>.xlf file for each locale except default one (source)
+export function createXliffExporter(options = {}) {
+
+  const { path, version } = Object.assign({}, XliffDefaults, options);
+
+  if (!States[version]) {
+    throw new Error('Unknown XLIFF version: ' + version);
+  }
+
+  const files = [];
+
+  return {
+
+    begin(file) {
+      const fileData = { locale: file.locale, translations: [] };
+      files.push(fileData);
+      return fileData;
+    },
+
+    insert(fileData, t) {
+      // values of fallback locales (see config.fallbacks) are still missing for translators
+      fileData.translations.push(t.fallback ? Object.assign({}, t, { value: '', approved: false }) : t);
+    },
+
+    save() {
+
+      const exported = files.splice(0); // exporter can be reused by next export
+
+      const defaultLocale = this.config.defaultLocale;
+      const defaultFile = exported.find(f => f.locale === defaultLocale) || { translations: [] };
+
+      const sources = {};
+      defaultFile.translations.forEach(t => sources[t.key] = t);
+
+      const contents = {};
+
+      exported
+        .filter(fileData => fileData.locale !== defaultLocale)
+        .forEach(fileData => {
+          const units = fileData.translations.map(t => xliffUnit(t, sources[t.key], version));
+          contents[fileData.locale + XliffExtension] = xliffDocument(units, defaultLocale, fileData.locale, version);
+        });
+
+      const directory = endWithSlash(path);
+      const fileNames = Object.keys(contents);
+
+      if (fileNames.length === 0) {
+        return 'Nothing to export: no locales except ' + defaultLocale + '.';
+      }
+
+      return this.fs.createPath(directory + fileNames[0])
+        .then(() => Promise.all(fileNames.map(fileName => this.fs.writeFile(directory + fileName, contents[fileName]))))
+        .then(() => 'Exported files: ' + fileNames.join(', ') + '.');
+    }
+  };
+}
+
+
+// minimal XML parser: -> { name, attributes, children, text } of root element (text is content without markup)
+export function parseXml(content = '') {
+
+  const root = { name: '', attributes: {}, children: [], text: '' };
+  const stack = [ root ];
+
+  const TokenRegExp = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+  const AttributeRegExp = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  const appendText = (text) => stack.forEach(element => element.text += text);
+
+  let match;
+  while ((match = TokenRegExp.exec(content)) !== null) {
+
+    const [ token, cdata, closing, name, attributesStr, selfClosing, text ] = match;
+
+    if (cdata !== undefined) {
+      appendText(cdata);
+    } else if (text !== undefined) {
+      appendText(unescapeXml(text));
+    } else if (name !== undefined) {
+
+      if (closing) {
+
+        const element = stack.pop();
+        if (stack.length === 0 || element.name !== name) {
+          throw new Error(`Unexpected closing tag </${name}>`);
+        }
+
+      } else {
+
+        const attributes = {};
+        let attribute;
+        while ((attribute = AttributeRegExp.exec(attributesStr)) !== null) {
+          attributes[attribute[1]] = unescapeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+        }
+
+        const element = { name, attributes, children: [], text: '' };
+        stack[stack.length - 1].children.push(element);
+
+        if (!selfClosing) {
+          stack.push(element);
+        }
+      }
+
+    } else if (token === '<') {
+      throw new Error('Invalid markup at position ' + match.index);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing closing tag </${stack[stack.length - 1].name}>`);
+  }
+
+  const element = root.children[0];
+  if (!element) {
+    throw new Error('No root element');
+  }
+
+  return element;
+}
+
+const localName = (element) => element.name.substring(element.name.indexOf(':') + 1);
+
+const findAll = (element, name, result = []) => {
+  for (const child of element.children) {
+    if (localName(child) === name) {
+      result.push(child);
+    }
+    findAll(child, name, result);
+  }
+  return result;
+};
+
+const findFirst = (element, name) => findAll(element, name)[0];
+
+
+// content of .xlf file (1.2 or 2.0) -> [{ locale, key, value, approved }], only final targets are approved
+export function parseXliffTranslations(content, locale) {
+
+  const xliff = parseXml(content);
+  if (localName(xliff) !== 'xliff') {
+    throw new Error('Root element is not <xliff>');
+  }
+
+  const version = xliff.attributes.version;
+  const translations = [];
+
+  if (version === XliffVersion.V20) {
+
+    locale = locale || xliff.attributes.trgLang;
+
+    for (const unit of findAll(xliff, 'unit')) {
+
+      const segment = findFirst(unit, 'segment');
+      const target = segment && findFirst(segment, 'target');
+
+      if (target && !strIsEmpty(target.text)) {
+        translations.push({ locale, key: unit.attributes.id, value: target.text, approved: segment.attributes.state === States[version].approved });
+      }
+    }
+
+  } else {
+
+    for (const file of findAll(xliff, 'file')) {
+
+      const fileLocale = locale || file.attributes['target-language'];
+
+      for (const unit of findAll(file, 'trans-unit')) {
+
+        const target = findFirst(unit, 'target');
+
+        if (target && !strIsEmpty(target.text)) {
+          const approved = target.attributes.state === States[XliffVersion.V12].approved || unit.attributes.approved === 'yes';
+          translations.push({ locale: fileLocale, key: unit.attributes.id, value: target.text, approved });
+        }
+      }
+    }
+  }
+
+  if (translations.some(t => !t.locale)) {
+    throw new Error('Target locale is not defined');
+  }
+
+  return translations;
+}
@@ -0,0 +1,61 @@
+
+import { XliffVersion, createXliffExporter, parseXliffTranslations } from './Xliff.js';
+
+
+const exportXliff = (version) => {
+
+  const written = {};
+  const exporter = Object.assign({
+    config: { defaultLocale: 'en' },
+    fs: {
+      createPath: () => Promise.resolve(),
+      writeFile: (path, content) => Promise.resolve(written[path] = content)
+    }
+  }, createXliffExporter({ version }));
+
+  const en = exporter.begin({ locale: 'en' });
+  exporter.insert(en, { key: 'a.b', value: 'Hi <b>', comment: 'Greeting', approved: true });
+  exporter.insert(en, { key: 'a.c', value: 'Two\nlines', approved: true });
+
+  const de = exporter.begin({ locale: 'de' });
+  exporter.insert(de, { key: 'a.b', value: 'Hallo <b>', approved: true });
+  exporter.insert(de, { key: 'a.c', value: 'Zwei\nZeilen', approved: false });
+
+  return exporter.save().then(() => written);
+};
+
+
+Object.values(XliffVersion).forEach(version => {
+
+  test(`a-i18n-core-js.createXliffExporter(): round-trip of XLIFF ${version}`, () => {
+    return exportXliff(version).then(written => {
+
+      expect(Object.keys(written)).toEqual(['./xliff/de.xlf']);
+
+      const content = written['./xliff/de.xlf'];
+      expect(content).toContain('<note>Greeting</note>');
+      expect(content).toContain('<source>Hi &lt;b&gt;</source>');
+
+      expect(parseXliffTranslations(content)).toEqual([
+        { locale: 'de', key: 'a.b', value: 'Hallo <b>', approved: true },
+        { locale: 'de', key: 'a.c', value: 'Zwei\nZeilen', approved: false }
+      ]);
+    });
+  });
+});
+
+test('a-i18n-core-js.parseXliffTranslations(): inline elements, CDATA, approved attribute and errors', () => {
+
+  const content = `<?xml version="1.0"?>
+<xliff version="1.2"><file target-language="fr"><body>
+  <trans-unit id="a" approved="yes"><source>A</source><target>Un <g id="1">A</g> &amp; <![CDATA[<x>]]></target></trans-unit>
+  <trans-unit id="b"><source>B</source><target state="new"/></trans-unit>
+</body></file></xliff>`;
+
+  expect(parseXliffTranslations(content)).toEqual([
+    { locale: 'fr', key: 'a', value: 'Un A & <x>', approved: true }
+  ]);
+
+  expect(() => parseXliffTranslations('<xliff version="1.2"><file>')).toThrow('Missing closing tag </file>');
+  expect(() => parseXliffTranslations('<xliff version="1.2"><file><trans-unit id="a"><target>A</target></trans-unit></file></xliff>')).toThrow('Target locale is not defined');
+});
@@ -2,3 +2,4 @@
 
 export * from '../a-i18n-core-js/index.js';
 export * from './src/i18n.js';
+export * from './src/config.js';
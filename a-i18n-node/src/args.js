@@ -0,0 +1,75 @@
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.usageError = true;
+  }
+}
+
+
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// --flag value, --flag=value, --boolean-flag, --no-boolean-flag, -f value, values of multiple flags are collected to arrays
+export function parseArgs(argv = [], booleans = [], aliases = {}, multiples = []) {
+
+  const positionals = [];
+  const flags = {};
+
+  const isBoolean = (name) => booleans.indexOf(name) >= 0;
+
+  for (let i = 0; i < argv.length; i++) {
+
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    const isLong = arg.startsWith('--');
+    const isShort = !isLong && arg.length > 1 && arg[0] === '-';
+
+    if (!isLong && !isShort) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, value] = splitFlag(arg.substring(isLong ? 2 : 1));
+
+    if (isLong && name.startsWith('no-') && isBoolean(toCamelCase(name.substring(3)))) {
+      flags[toCamelCase(name.substring(3))] = false;
+      continue;
+    }
+
+    name = isShort ? (aliases[name] || name) : toCamelCase(name);
+
+    if (isBoolean(name)) {
+      flags[name] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+
+      const next = argv[i + 1];
+      if (next === undefined || (next.startsWith('-') && next.length > 1)) {
+        throw new UsageError(`Missing value of flag: ${arg}`);
+      }
+
+      value = next;
+      i++;
+    }
+
+    if (multiples.indexOf(name) >= 0) {
+      (flags[name] = flags[name] || []).push(value);
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+function splitFlag(flag) {
+  const index = flag.indexOf('=');
+  return index >= 0 ? [flag.substring(0, index), flag.substring(index + 1)] : [flag, undefined];
+}
@@ -0,0 +1,33 @@
+
+import { parseArgs, UsageError } from './args.js';
+
+
+const booleans = [ 'approved', 'help' ];
+const aliases = { d: 'directory', h: 'help' };
+const multiples = [ 'include' ];
+
+const examples = [
+  [ [ 'load' ], { positionals: [ 'load' ], flags: {} } ],
+  [ [ '--root-path', '../app', '-d', './texts' ], { positionals: [], flags: { rootPath: '../app', directory: './texts' } } ],
+  [ [ '--key=a.b', '--value=x=y' ], { positionals: [], flags: { key: 'a.b', value: 'x=y' } } ],
+  [ [ '--value', '' ], { positionals: [], flags: { value: '' } } ],
+  [ [ '--approved', 'apply' ], { positionals: [ 'apply' ], flags: { approved: true } } ],
+  [ [ '--no-approved', '--approved=false', '-h' ], { positionals: [], flags: { approved: false, help: true } } ],
+  [ [ '--', '--key' ], { positionals: [ '--key' ], flags: {} } ],
+  [ [ '--include', 'src/*.js', '--include=lib/*.js' ], { positionals: [], flags: { include: [ 'src/*.js', 'lib/*.js' ] } } ]
+];
+
+for (const [ argv, result ] of examples) {
+  test(`a-i18n-node.parseArgs(): ${argv.join(' ')}`, () => {
+    expect(parseArgs(argv, booleans, aliases, multiples)).toEqual(result);
+  })
+}
+
+
+const incorrect = [ [ '--key' ], [ '--key', '--value', 'x' ] ];
+
+for (const argv of incorrect) {
+  test(`a-i18n-node.parseArgs(): ${argv.join(' ')}`, () => {
+    expect(() => parseArgs(argv, booleans, aliases)).toThrow(UsageError);
+  })
+}
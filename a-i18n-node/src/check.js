@@ -0,0 +1,135 @@
+
+import { buildFK, IcuIssue, isBacklogFile, strIsEmpty, TypeFile, validateIcu } from '../../a-i18n-core-js/index.js';
+
+
+export const ProblemCode = {
+  EmptyValue: 'EmptyValue',
+  NotApproved: 'NotApproved',
+  BacklogFile: 'BacklogFile',
+  MissingKey: 'MissingKey', // see scan.js
+  UnusedKey: 'UnusedKey',
+  IcuSyntax: IcuIssue.Syntax,
+  IcuParams: IcuIssue.Params,
+  IcuPluralCategory: IcuIssue.PluralCategory
+};
+
+export const Severity = {
+  Error: 'error',
+  Warning: 'warning'
+};
+
+export const CheckDefaults = {
+  empty: true,
+  notApproved: true,
+  backlog: true,
+  icu: undefined // ICU issues of values (see validateIcu), config.icu by default
+};
+
+
+const problem = (code, message, file, line, locale, key, severity = Severity.Error) => ({ code, severity, message, file, line, locale, key });
+
+
+// i18n must be loaded, fs is file system of i18n
+// current values are checked (with changes of backlog files), lines are of saved files
+export function checkState(i18n, fs, options = {}) {
+
+  const { empty, notApproved, backlog, icu = i18n._config.icu } = Object.assign({}, CheckDefaults, options);
+  const { error, files, keys, lines } = i18n.state;
+
+  const stateProblem = (e) => Object.assign(problem(e.code, e.message, e.file, e.line, undefined, e.key), { column: e.column });
+
+  if (error) {
+    return Promise.resolve([ stateProblem(error) ]);
+  }
+
+  const problems = i18n.state.problems.map(stateProblem); // recovery mode
+
+  const fileList = Object.values(files);
+
+  for (const file of fileList) {
+    for (const key of keys.array) {
+
+      const fullKey = buildFK(file.locale, key);
+      const t = i18n.getT(fullKey);
+      const line = (lines[fullKey] || {}).value;
+
+      if (!t || strIsEmpty(t.value)) {
+        if (empty) {
+          problems.push(problem(ProblemCode.EmptyValue, `Empty value of key "${key}" in locale "${file.locale}".`, file.path, line, file.locale, key));
+        }
+      } else if (!t.approved && notApproved) {
+        problems.push(problem(ProblemCode.NotApproved, `Not approved value of key "${key}" in locale "${file.locale}".`, file.path, line, file.locale, key));
+      }
+    }
+  }
+
+  if (icu) {
+    for (const key of keys.array) {
+
+      const values = {};
+      fileList.forEach(file => values[file.locale] = (i18n.getT(buildFK(file.locale, key)) || {}).value);
+
+      const issues = validateIcu(values, i18n._config.defaultLocale);
+
+      for (const file of fileList) {
+        for (const issue of issues[file.locale] || []) {
+          const severity = issue.code === IcuIssue.Syntax ? Severity.Error : Severity.Warning;
+          problems.push(problem(issue.code, `${issue.message} in value of key "${key}" in locale "${file.locale}".`, file.path, (lines[buildFK(file.locale, key)] || {}).value, file.locale, key, severity));
+        }
+      }
+    }
+  }
+
+  if (!backlog) {
+    return Promise.resolve(problems);
+  }
+
+  return fs.readDirectory()
+    .then((content = []) => {
+      content
+        .filter(info => info[1] === TypeFile && isBacklogFile(info[0]))
+        .forEach(info => problems.push(problem(ProblemCode.BacklogFile, `Backlog file must not be committed: ${info[0]}.`, fs.pathTo(info[0]))));
+      return problems;
+    });
+}
+
+
+export const ReportFormat = {
+  Text: 'text',
+  Json: 'json',
+  GitHub: 'github'
+};
+
+const relativePath = (path = '') => path.startsWith('./') ? path.substring(2) : path;
+
+const escapeGitHub = (value = '', isProperty = false) => {
+  const escaped = String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  return isProperty ? escaped.replace(/:/g, '%3A').replace(/,/g, '%2C') : escaped;
+}
+
+export function formatProblems(problems = [], format = ReportFormat.Text) {
+
+  switch (format) {
+
+    case ReportFormat.Json:
+      return JSON.stringify({ problems }, undefined, 2);
+
+    case ReportFormat.GitHub:
+      return problems.map(p => {
+
+        const properties = [];
+        if (p.file) properties.push('file=' + escapeGitHub(relativePath(p.file), true));
+        if (p.line) properties.push('line=' + p.line);
+        if (p.line && p.column) properties.push('col=' + p.column);
+        properties.push('title=' + escapeGitHub(p.code, true));
+
+        return `::${p.severity} ${properties.join(',')}::${escapeGitHub(p.message)}`;
+      }).join('\n');
+
+    default:
+      return problems.map(p => {
+        const location = p.file ? relativePath(p.file) + (p.line ? ':' + p.line : '') + ' ' : '';
+        return `${location}${p.severity} ${p.code}: ${p.message.split('\nLocation: ')[0]}`;
+      }).join('\n');
+  }
+}
@@ -1,27 +1,10 @@
 #!/usr/bin/env node
-import { I18n } from './i18n.js';
+import { runCli } from './commands.js';
 
 
-const [ _nodePath, _cliPath, ...commands ] = process.argv;
-
-let actions = [];
-for (const command of commands) {
-  actions = actions.concat(command.split('&').map(action => action.trim()));
-}
-
-const init = actions.shift();
-
-let i18n;
-if (init && init.indexOf('I18n') === 0) {
-  eval(`i18n = new ${init}`);
-} else {
-  i18n = new I18n();
-  actions.unshift(init);
-}
-
-if (actions.length > 0) {
-  const first = 'i18n.' + actions.shift();
-  const next = actions.map(action => '.then(() => i18n.' + action + ')').join('');
-  eval(first + next);
-}
+const [ _nodePath, _cliPath, ...args ] = process.argv;
 
+runCli(args)
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  });
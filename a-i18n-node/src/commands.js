@@ -0,0 +1,650 @@
+
+import { readFile, writeFile } from 'fs/promises';
+
+import { ConflictMarkers, Encoding, ErrorCodes, ExporterModule, ExporterPreset, ExportPolicy, I18nError, KeyState, LintRule, LintSeverity, ManualExport, PoDefaults, PoMode, RootDirectory, TypesDefaults, TypesMode, XliffDefaults, XliffVersion, buildFK, createPoExporter, createTypesExporter, createXliffExporter, mergeContents, toPromise } from '../../a-i18n-core-js/index.js';
+import { I18n } from './i18n.js';
+import { loadConfig } from './config.js';
+import { parseArgs, UsageError } from './args.js';
+import { formatProblems, ProblemCode, ReportFormat, Severity } from './check.js';
+import { ScanDefaults, scanProblems } from './scan.js';
+import { formatStatistics, StatsFormat } from './stats.js';
+
+
+export const ExitCodes = {
+  Success: 0,
+  Error: 1,
+  Usage: 2,
+  Check: 3,
+  Conflicts: 4,
+  [ErrorCodes.NotLoaded]: 10,
+  [ErrorCodes.DuplicateKey]: 11,
+  [ErrorCodes.NotResolvedError]: 12,
+  [ErrorCodes.UnappliedChanges]: 13,
+  [ErrorCodes.KeyNotExist]: 14,
+  [ErrorCodes.KeyExist]: 15,
+  [ErrorCodes.InvalidPath]: 16,
+  [ErrorCodes.InvalidFormat]: 17,
+  [ErrorCodes.InvalidDirectory]: 18,
+  [ErrorCodes.InvalidFile]: 19,
+  [ErrorCodes.InvalidKey]: 20,
+  [ErrorCodes.InvalidOptions]: 21,
+  [ErrorCodes.NotUniqueI18nFiles]: 22,
+  [ErrorCodes.NoI18nJsFiles]: 23,
+  [ErrorCodes.Export]: 24,
+  [ErrorCodes.Lint]: 25
+};
+
+export const toExitCode = (error) => {
+
+  if (!error) return ExitCodes.Success;
+  if (error.usageError) return ExitCodes.Usage;
+
+  return ExitCodes[error.code] || ExitCodes.Error;
+}
+
+
+const GlobalFlags = {
+  directory: { alias: 'd', value: '<path>', description: 'relative path to directory with .i18n files (default: ./)' },
+  rootPath: { alias: 'r', value: '<path>', description: 'path to root directory, relative paths are resolved from it (default: current directory)' },
+  help: { alias: 'h', boolean: true, description: 'show help' }
+};
+
+
+// state errors (e.g. duplicated keys) are not thrown on load(), as editors must show them
+function loadState(i18n) {
+  return i18n.load()
+    .then(() => {
+      const { error } = i18n.state;
+      if (error) {
+        throw new I18nError(error.code, error.message);
+      }
+    });
+}
+
+function required(flags, ...names) {
+  for (const name of names) {
+    if (flags[name] === undefined || flags[name] === true) {
+      throw new UsageError(`Missing required flag: --${toKebabCase(name)}`);
+    }
+  }
+}
+
+// skipping not specified flags to keep defaults
+function defined(options) {
+  const result = {};
+  Object.keys(options).filter(name => options[name] !== undefined).forEach(name => result[name] = options[name]);
+  return result;
+}
+
+const toRelativePath = (path) => path.startsWith(RootDirectory) ? path : RootDirectory + path;
+
+// result of export() -> message (results of named exporters are printed line by line)
+function exportMessage(result, isNamed) {
+
+  const message = (r) => typeof r === 'string' ? r : 'Translations exported.';
+
+  if (isNamed) {
+    return Object.keys(result).map(name => `${name}: ${message(result[name])}`).join('\n');
+  }
+
+  return message(result);
+}
+
+// value of flag must be one of values (e.g. PoMode)
+function toOption(value, values, name) {
+
+  if (value !== undefined && Object.values(values).indexOf(value) < 0) {
+    throw new UsageError(`Unknown ${name}: ${value}`);
+  }
+
+  return value;
+}
+
+// '0.9' or '90%' -> 0.9
+function toRate(value) {
+
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const rate = String(value).endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+  if (isNaN(rate) || rate < 0 || rate > 1) {
+    throw new UsageError(`Invalid rate: ${value}`);
+  }
+
+  return rate;
+}
+
+// ['placeholders=error', ...] -> { placeholders: 'error' }
+function toLintRules(values = []) {
+
+  const rules = {};
+
+  for (const value of values) {
+    const [ rule, severity ] = value.split('=');
+    rules[toOption(rule, LintRule, 'lint rule')] = toOption(severity || LintSeverity.Error, LintSeverity, 'lint severity');
+  }
+
+  return rules;
+}
+
+const toKebabCase = (name) => name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+
+
+export const Commands = [
+  {
+    name: 'load',
+    description: 'Loads .i18n files and prints found locales',
+    run: ({ i18n, print }) => loadState(i18n)
+      .then(() => {
+        const { keys, locales, changes } = i18n.state;
+        print(`Loaded ${keys.array.length} keys, locales: ${locales.join(', ')}, changed keys: ${changes.keys.size}.`);
+      })
+  },
+  {
+    name: 'export',
+    description: 'Exports translations with exporter from .i18n.json (built-in preset) or .i18n.js',
+    flags: {
+      type: { value: '<type>', description: `type of export that is given to exporter (default: ${ManualExport})` },
+      preset: { value: '<preset>', description: `built-in exporter: ${Object.values(ExporterPreset).join(', ')}` },
+      to: { value: '<path>', description: 'relative path to directory for exported files (with --preset)' },
+      name: { value: '<name>', description: 'name of exporter to run (exporters of .i18n.json), all exporters are run by default' },
+      exporter: { value: '<path>', description: 'relative path (from root path) to exporter file instead of .i18n.js in directory' },
+      legacyExporter: { boolean: true, description: 'evaluate exporter file with exporter as this-context (old .i18n.js format) instead of importing it as module' },
+      lint: { boolean: true, description: 'block export on lint errors (default: true, --no-lint to skip)' },
+      fallbacks: { boolean: true, description: 'fill missing values from fallback locales: language-REGION -> language -> default locale or chains of .i18n.json (--no-fallbacks to skip)' },
+      policy: { value: '<policy>', description: `exported values: ${Object.values(ExportPolicy).join(', ')} (default: ${ExportPolicy.All})` },
+      minApproval: { value: '<rate>', description: 'fail if approved values rate of any locale is lower, e.g. 0.9 or 90%' }
+    },
+    config: (flags) => defined({
+      exporter: flags.preset ? defined({ preset: flags.preset, path: flags.to && toRelativePath(flags.to) }) : undefined,
+      exporters: (flags.preset || flags.exporter) ? [] : undefined, // exporters of .i18n.json are replaced
+      exporterPath: flags.exporter && toRelativePath(flags.exporter),
+      exporterModule: flags.legacyExporter ? ExporterModule.Legacy : undefined
+    }),
+    run: ({ i18n, flags, print }) => loadState(i18n)
+      .then(() => i18n.export(defined({
+        type: flags.type || ManualExport,
+        name: flags.name,
+        lint: flags.lint,
+        fallbacks: flags.fallbacks,
+        policy: toOption(flags.policy, ExportPolicy, 'policy'),
+        minApproval: toRate(flags.minApproval)
+      })))
+      .then(result => print(exportMessage(result, i18n._config.exporters.length > 0)))
+  },
+  {
+    name: 'add-key',
+    description: 'Adds new key to all .i18n files',
+    flags: {
+      key: { value: '<key>', description: 'key to add' }
+    },
+    run: ({ i18n, flags }) => {
+      required(flags, 'key');
+      return loadState(i18n).then(() => i18n.addKey({ key: flags.key }));
+    }
+  },
+  {
+    name: 'copy-key',
+    description: 'Copies translations of existing key to new key',
+    flags: {
+      from: { value: '<key>', description: 'existing key' },
+      to: { value: '<key>', description: 'new key' }
+    },
+    run: ({ i18n, flags }) => {
+      required(flags, 'from', 'to');
+      return loadState(i18n).then(() => i18n.copyKey({ fromKey: flags.from, toKey: flags.to }));
+    }
+  },
+  {
+    name: 'delete-key',
+    description: 'Deletes key from all .i18n files',
+    flags: {
+      key: { value: '<key>', description: 'key to delete' }
+    },
+    run: ({ i18n, flags }) => {
+      required(flags, 'key');
+      return loadState(i18n).then(() => i18n.deleteKey({ key: flags.key }));
+    }
+  },
+  {
+    name: 'apply',
+    description: 'Applies change of translation',
+    flags: {
+      locale: { value: '<locale>', description: 'locale of translation' },
+      key: { value: '<key>', description: 'key of translation' },
+      value: { value: '<text>', description: 'text of translation (use \\n for new lines)' },
+      comment: { value: '<text>', description: 'comment of translation' },
+      approved: { boolean: true, description: 'mark translation as approved' }
+    },
+    run: ({ i18n, flags }) => {
+      required(flags, 'locale', 'key');
+      return loadState(i18n)
+        .then(() => {
+
+          const { locale, key, approved = false } = flags;
+          const t = i18n.getT(buildFK(locale, key)) || {};
+
+          return i18n.applyChange({
+            locale,
+            key,
+            approved,
+            value: flags.value === undefined ? t.value : flags.value.replace(/\\n/g, '\n'),
+            comment: flags.comment === undefined ? t.comment : flags.comment.replace(/\\n/g, '\n')
+          });
+        });
+    }
+  },
+  {
+    name: 'revert',
+    description: 'Reverts changes (all, of locale, of key or of translation)',
+    flags: {
+      locale: { value: '<locale>', description: 'revert changes of locale only' },
+      key: { value: '<key>', description: 'revert changes of key only' }
+    },
+    run: ({ i18n, flags }) => loadState(i18n)
+      .then(() => i18n.revertChanges({ locale: flags.locale, key: flags.key }))
+  },
+  {
+    name: 'save',
+    description: 'Saves changes from backlog @.i18n files to .i18n files',
+    run: ({ i18n }) => loadState(i18n).then(() => i18n.save())
+  },
+  {
+    name: 'check',
+    description: 'Checks .i18n files (for CI), fails if any problem found',
+    flags: {
+      format: { value: '<format>', description: `format of report: ${Object.values(ReportFormat).join(', ')} (default: ${ReportFormat.Text})` },
+      empty: { boolean: true, description: 'report empty values (default: true, --no-empty to skip)' },
+      notApproved: { boolean: true, description: 'report not approved values (default: true, --no-not-approved to skip)' },
+      backlog: { boolean: true, description: 'report backlog @.i18n files (default: true, --no-backlog to skip)' },
+      icu: { boolean: true, description: 'report ICU syntax errors, placeholders different from default locale and invalid plural categories (default: config.icu, that is false)' },
+      recovery: { boolean: true, description: 'report all invalid lines and duplicated keys instead of the first one' }
+    },
+    run: ({ i18n, flags, print }) => {
+
+      const format = flags.format || ReportFormat.Text;
+      if (Object.values(ReportFormat).indexOf(format) < 0) {
+        throw new UsageError(`Unknown format: ${format}`);
+      }
+
+      return i18n.check(defined({ empty: flags.empty, notApproved: flags.notApproved, backlog: flags.backlog, icu: flags.icu }))
+        .then(problems => {
+
+          if (problems.length > 0 || format === ReportFormat.Json) {
+            print(formatProblems(problems, format));
+          }
+
+          if (problems.length > 0) {
+            return ExitCodes.Check;
+          }
+
+          if (format === ReportFormat.Text) {
+            print('No problems found.');
+          }
+        });
+    }
+  },
+  {
+    name: 'import-json',
+    description: 'Imports translations from en.json, de.json, ... files (flat or nested) as changes',
+    flags: {
+      from: { value: '<path>', description: 'relative path to directory with .json files' },
+      separator: { value: '<separator>', description: 'separator to flatten nested keys (default: .)' },
+      approved: { boolean: true, description: 'mark imported values as approved' },
+      overwrite: { boolean: true, description: 'overwrite existing values (default: true, --no-overwrite to fill only empty values)' }
+    },
+    run: ({ i18n, flags, print }) => {
+      required(flags, 'from');
+      return loadState(i18n)
+        .then(() => i18n.importJson(defined({ path: toRelativePath(flags.from), separator: flags.separator, approved: flags.approved, overwrite: flags.overwrite })))
+        .then(({ added, changed }) => print(`Imported: ${added} new keys, ${changed} changed keys.`));
+    }
+  },
+  {
+    name: 'export-po',
+    description: 'Exports translations to gettext <locale>.po files and .pot template of default locale',
+    flags: {
+      to: { value: '<path>', description: `relative path to directory for .po files (default: ${PoDefaults.path})` },
+      mode: { value: '<mode>', description: `${PoMode.Key} (msgid is key) or ${PoMode.Msgid} (msgid is text of default locale, msgctxt is key), default: ${PoDefaults.mode}` },
+      template: { value: '<file>', description: `name of .pot file (default: ${PoDefaults.template})` },
+      noTemplate: { boolean: true, description: 'skip .pot file' },
+      defaultLocale: { value: '<locale>', description: 'locale of source texts (default: en)' }
+    },
+    config: (flags) => ({
+      exporters: [],
+      exporter: createPoExporter(defined({
+        path: flags.to && toRelativePath(flags.to),
+        mode: toOption(flags.mode, PoMode, 'mode'),
+        template: flags.noTemplate ? false : flags.template
+      }))
+    }),
+    run: ({ i18n, print }) => loadState(i18n)
+      .then(() => i18n.export())
+      .then(result => print(result))
+  },
+  {
+    name: 'import-po',
+    description: 'Imports msgstr of gettext <locale>.po files as changes (fuzzy entries are not approved)',
+    flags: {
+      from: { value: '<path>', description: 'relative path to directory with .po files' },
+      mode: { value: '<mode>', description: `${PoMode.Key} or ${PoMode.Msgid} (see export-po), default: ${PoDefaults.mode}` },
+      defaultLocale: { value: '<locale>', description: 'locale of source texts (default: en)' },
+      overwrite: { boolean: true, description: 'overwrite existing values (default: true, --no-overwrite to fill only empty values)' }
+    },
+    run: ({ i18n, flags, print }) => {
+      required(flags, 'from');
+      return loadState(i18n)
+        .then(() => i18n.importPo(defined({ path: toRelativePath(flags.from), mode: toOption(flags.mode, PoMode, 'mode'), overwrite: flags.overwrite })))
+        .then(({ added, changed }) => print(`Imported: ${added} new keys, ${changed} changed keys.`));
+    }
+  },
+  {
+    name: 'export-xliff',
+    description: 'Exports translations to XLIFF <locale>.xlf files (default locale is source)',
+    flags: {
+      to: { value: '<path>', description: `relative path to directory for .xlf files (default: ${XliffDefaults.path})` },
+      version: { value: '<version>', description: `${Object.values(XliffVersion).join(' or ')} (default: ${XliffDefaults.version})` },
+      defaultLocale: { value: '<locale>', description: 'locale of source texts (default: en)' }
+    },
+    config: (flags) => ({
+      exporters: [],
+      exporter: createXliffExporter(defined({
+        path: flags.to && toRelativePath(flags.to),
+        version: toOption(flags.version, XliffVersion, 'version')
+      }))
+    }),
+    run: ({ i18n, print }) => loadState(i18n)
+      .then(() => i18n.export())
+      .then(result => print(result))
+  },
+  {
+    name: 'import-xliff',
+    description: 'Imports targets of XLIFF <locale>.xlf files as changes (only final targets are approved)',
+    flags: {
+      from: { value: '<path>', description: 'relative path to directory with .xlf files' },
+      overwrite: { boolean: true, description: 'overwrite existing values (default: true, --no-overwrite to fill only empty values)' }
+    },
+    run: ({ i18n, flags, print }) => {
+      required(flags, 'from');
+      return loadState(i18n)
+        .then(() => i18n.importXliff(defined({ path: toRelativePath(flags.from), overwrite: flags.overwrite })))
+        .then(({ added, changed }) => print(`Imported: ${added} new keys, ${changed} changed keys.`));
+    }
+  },
+  {
+    name: 'types',
+    description: 'Generates TypeScript declaration of keys and params of default locale texts ({name}, ICU plural/select/number/date)',
+    flags: {
+      to: { value: '<path>', description: `relative path to directory for declaration file (default: ${TypesDefaults.path})` },
+      fileName: { value: '<file>', description: `name of declaration file (default: ${TypesDefaults.fileName})` },
+      mode: { value: '<mode>', description: `${TypesMode.Union} (union type of keys) or ${TypesMode.Nested} (+ nested interface of dot-separated keys), default: ${TypesDefaults.mode}` },
+      defaultLocale: { value: '<locale>', description: 'locale of texts with params (default: en)' }
+    },
+    config: (flags) => ({
+      exporters: [],
+      exporter: createTypesExporter(defined({
+        path: flags.to && toRelativePath(flags.to),
+        fileName: flags.fileName,
+        mode: toOption(flags.mode, TypesMode, 'mode')
+      }))
+    }),
+    run: ({ i18n, print }) => loadState(i18n)
+      .then(() => i18n.export())
+      .then(result => print(result))
+  },
+  {
+    name: 'scan',
+    description: 'Scans sources for key references, reports keys missing in .i18n files and unused keys',
+    flags: {
+      include: { value: '<glob>', multiple: true, description: `globs of source files relative to root path (default: ${ScanDefaults.include.join(' ')})` },
+      exclude: { value: '<glob>', multiple: true, description: `globs of excluded files and directories (default: ${ScanDefaults.exclude.join(' ')})` },
+      pattern: { value: '<regexp>', multiple: true, description: '1st group of regexp is key (default: t(\'key\') calls)' },
+      format: { value: '<format>', description: `format of report: ${Object.values(ReportFormat).join(', ')} (default: ${ReportFormat.Text})` },
+      unused: { boolean: true, description: 'report unused keys (default: true, --no-unused to skip)' },
+      missing: { boolean: true, description: 'report missing keys (default: true, --no-missing to skip)' },
+      addMissing: { boolean: true, description: 'add missing keys as changes to backlog @.i18n files' }
+    },
+    run: ({ i18n, flags, print }) => {
+
+      const format = toOption(flags.format, ReportFormat, 'format') || ReportFormat.Text;
+      const options = defined({ include: flags.include, exclude: flags.exclude, patterns: flags.pattern, unused: flags.unused, missing: flags.missing, addMissing: flags.addMissing });
+
+      return loadState(i18n)
+        .then(() => i18n.scan(options))
+        .then(result => {
+
+          const scanOptions = Object.assign({}, i18n._config.scan, options);
+          const problems = scanProblems(result, scanOptions).filter(p => !(result.added && p.code === ProblemCode.MissingKey));
+
+          if (problems.length > 0 || format === ReportFormat.Json) {
+            print(formatProblems(problems, format));
+          }
+
+          if (format === ReportFormat.Text) {
+            print(`Scanned ${result.files.length} files: ${Object.keys(result.used).length} used keys, ${result.missing.length} references of missing keys, ${result.unused.length} unused keys.`);
+            if (result.added) {
+              print(`Added keys: ${result.added.length}.`);
+            }
+          }
+
+          return problems.some(p => p.severity === Severity.Error) ? ExitCodes.Check : ExitCodes.Success;
+        });
+    }
+  },
+  {
+    name: 'lint',
+    description: 'Checks translations against values of default locale with lint rules of .i18n.json, fails on errors',
+    flags: {
+      rule: { value: '<rule>=<severity>', multiple: true, description: `overrides lint rule (${Object.values(LintRule).join(', ')}) with severity: ${Object.values(LintSeverity).join(', ')}` },
+      format: { value: '<format>', description: `format of report: ${Object.values(ReportFormat).join(', ')} (default: ${ReportFormat.Text})` },
+      defaultLocale: { value: '<locale>', description: 'locale of source texts (default: en)' }
+    },
+    run: ({ i18n, flags, print }) => {
+
+      const format = toOption(flags.format, ReportFormat, 'format') || ReportFormat.Text;
+      const rules = toLintRules(flags.rule);
+
+      return loadState(i18n)
+        .then(() => i18n.lint({ rules }))
+        .then(problems => {
+
+          if (problems.length > 0 || format === ReportFormat.Json) {
+            print(formatProblems(problems, format));
+          }
+
+          if (format === ReportFormat.Text && problems.length === 0) {
+            print('No problems found.');
+          }
+
+          return problems.some(p => p.severity === LintSeverity.Error) ? ExitCodes.Check : ExitCodes.Success;
+        });
+    }
+  },
+  {
+    name: 'merge',
+    description: 'Git merge driver: merges .i18n files by keys and writes result to <ours> (conflict markers are left only around conflicting keys)',
+    args: [ '<base>', '<ours>', '<theirs>' ],
+    run: ({ args, print }) => {
+
+      const [ _basePath, oursPath, theirsPath ] = args;
+
+      return Promise.all(args.map(path => readFile(path, { encoding: Encoding })))
+        .then(([ base, ours, theirs ]) => {
+
+          let result;
+          try {
+            result = mergeContents(base, ours, theirs);
+          } catch (e) {
+
+            if (e.code !== ErrorCodes.InvalidFormat) {
+              throw e;
+            }
+
+            // can't merge by keys, so leaving whole files in conflict
+            print(`Can't merge ${oursPath} & ${theirsPath} by keys: ${e.message}`);
+            return writeFile(oursPath, [ ConflictMarkers.ours, ours, ConflictMarkers.separator, theirs, ConflictMarkers.theirs, '' ].join('\n'))
+              .then(() => ExitCodes.Conflicts);
+          }
+
+          return writeFile(oursPath, result.content)
+            .then(() => {
+              if (result.conflicts.length > 0) {
+                print(`Conflicting keys: ${result.conflicts.join(', ')}`);
+                return ExitCodes.Conflicts;
+              }
+            });
+        });
+    }
+  },
+  {
+    name: 'status',
+    description: 'Prints changed keys',
+    run: ({ i18n, print }) => loadState(i18n)
+      .then(() => {
+
+        const { keys } = i18n.state.changes;
+        if (keys.size === 0) {
+          print('No changes.');
+          return;
+        }
+
+        const symbols = {
+          [KeyState.New]: '+',
+          [KeyState.Changed]: '~',
+          [KeyState.Deleted]: '-'
+        };
+
+        Array.from(keys.values()).sort().forEach(key => {
+          const state = i18n.getKeyState(key);
+          print(`${symbols[state] || ' '} ${key}`);
+        });
+      })
+  },
+  {
+    name: 'stats',
+    description: 'Prints translation statistics of locales (keys, filled, approved, words, pending changes)',
+    flags: {
+      format: { value: '<format>', description: `format of report: ${Object.values(StatsFormat).join(', ')} (default: ${StatsFormat.Table})` }
+    },
+    run: ({ i18n, flags, print }) => {
+
+      const format = toOption(flags.format, StatsFormat, 'format') || StatsFormat.Table;
+
+      return loadState(i18n)
+        .then(() => print(formatStatistics(i18n.getStatistics(), format)));
+    }
+  }
+];
+
+
+function formatFlags(flags = {}) {
+  return Object.keys(flags).map(name => {
+    const flag = flags[name];
+    const names = (flag.alias ? `-${flag.alias}, ` : '') + `--${toKebabCase(name)}` + (flag.value ? ' ' + flag.value : '');
+    return `  ${names.padEnd(28)} ${flag.description}`;
+  }).join('\n');
+}
+
+export function usage(command) {
+
+  if (command) {
+    return [
+      `Usage: a-i18n-node ${command.name}${command.args ? ' ' + command.args.join(' ') : ''} [flags]`,
+      '',
+      command.description,
+      '',
+      'Flags:',
+      formatFlags(Object.assign({}, command.flags, GlobalFlags))
+    ].join('\n');
+  }
+
+  return [
+    'Usage: a-i18n-node <command> [flags]',
+    '',
+    'Commands:',
+    Commands.map(c => `  ${c.name.padEnd(28)} ${c.description}`).join('\n'),
+    '',
+    'Global flags:',
+    formatFlags(GlobalFlags),
+    '',
+    'Run "a-i18n-node <command> --help" to see flags of command.'
+  ].join('\n');
+}
+
+
+function toConfig(flags) {
+
+  const config = {};
+
+  if (flags.directory) {
+    config.directory = toRelativePath(flags.directory);
+  }
+
+  if (flags.rootPath) {
+    config.rootPath = flags.rootPath;
+  }
+
+  if (flags.recovery) {
+    config.recovery = true;
+  }
+
+  if (flags.defaultLocale) {
+    config.defaultLocale = flags.defaultLocale;
+  }
+
+  return config;
+}
+
+// resolves to exit code
+export function runCli(argv = [], print = console.log, printError = console.error) {
+
+  const name = argv[0] && !argv[0].startsWith('-') ? argv[0] : undefined;
+  const command = Commands.find(c => c.name === name);
+
+  return new Promise(resolve => {
+
+    if (name && !command) {
+      throw new UsageError(`Unknown command: ${name}`);
+    }
+
+    const allFlags = Object.assign({}, command && command.flags, GlobalFlags);
+    const booleans = Object.keys(allFlags).filter(flag => allFlags[flag].boolean);
+
+    const aliases = {};
+    Object.keys(allFlags).filter(flag => allFlags[flag].alias).forEach(flag => aliases[allFlags[flag].alias] = flag);
+
+    const multiples = Object.keys(allFlags).filter(flag => allFlags[flag].multiple);
+
+    const { positionals, flags } = parseArgs(command ? argv.slice(1) : argv, booleans, aliases, multiples);
+
+    if (flags.help || !command) {
+      print(usage(command));
+      return resolve(command || flags.help ? ExitCodes.Success : ExitCodes.Usage);
+    }
+
+    for (const flag of Object.keys(flags)) {
+      if (!allFlags[flag]) {
+        throw new UsageError(`Unknown flag: --${toKebabCase(flag)}`);
+      }
+    }
+
+    const expectedArgs = command.args || [];
+    if (positionals.length !== expectedArgs.length) {
+      throw new UsageError(positionals.length > expectedArgs.length ? `Unexpected arguments: ${positionals.slice(expectedArgs.length).join(' ')}` : `Missing arguments: ${expectedArgs.slice(positionals.length).join(' ')}`);
+    }
+
+    const commandConfig = command.config ? command.config(flags) : {};
+
+    resolve(loadConfig(toConfig(flags))
+      .then(config => {
+        const i18n = new I18n(Object.assign(config, commandConfig));
+        return command.run({ i18n, flags, args: positionals, print });
+      })
+      .then((exitCode = ExitCodes.Success) => exitCode));
+  })
+    .catch(error => {
+      printError(error.usageError ? `${error.message}\nRun "a-i18n-node ${command ? command.name + ' ' : ''}--help" to see usage.` : (error.message || error));
+      return toExitCode(error);
+    });
+}
@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import { resolve } from 'path';
+
+import { Encoding, I18nConfig, InvalidFileError, RootDirectory, endWithSlash } from '../../a-i18n-core-js/index.js';
+
+
+// .i18n.json in root path: { "./texts/": { autoExport?, exporter?: { preset, path?, ... } } }
+// resolves config of given directory merged with it
+export function loadConfig(config = {}) {
+
+  const path = resolve(config.rootPath || RootDirectory, I18nConfig);
+  const directory = endWithSlash(config.directory || RootDirectory);
+
+  return fs.readFile(path, Encoding)
+    .catch(e => {
+      if (e.code === 'ENOENT') {
+        return null;
+      }
+      throw e;
+    })
+    .then(content => {
+
+      if (content === null) {
+        return {};
+      }
+
+      try {
+        return JSON.parse(content);
+      } catch (e) {
+        throw new InvalidFileError(path, e.message);
+      }
+    })
+    .then(configFile => {
+
+      const key = Object.keys(configFile).find(d => endWithSlash(d) === directory);
+      return Object.assign({}, key && configFile[key], config);
+    });
+}
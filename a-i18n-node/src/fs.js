@@ -25,6 +25,7 @@ export const FS = {
 
   readFile: (path, options) => fs.readFile(path, options).then(buffer => buffer.toString(options.encoding)),
   writeFile: (path, data, options) => fs.writeFile(path, data, options),
+  appendFile: (path, data, options) => fs.appendFile(path, data, options),
 
   createDirectory: (path) => fs.mkdir(path, { recursive: false }), // recursive = false as vscode file provider don't support recursive
   readDirectory: (path) => new Promise((resolve, reject) => {
@@ -1,10 +1,104 @@
 
-import { Ai18n } from '../../a-i18n-core-js/index.js';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+import { Ai18n, ExporterModule, InvalidFileError, fingerprint } from '../../a-i18n-core-js/index.js';
 import { FS } from './fs.js';
+import { checkState } from './check.js';
+import { scanSources } from './scan.js';
+
+
+const require = createRequire(import.meta.url);
+
+// always loaded as modules
+const ModuleExtensionRegExp = /\.[mc]js$/;
 
+// import / export statements of ES module or assignment to exports of CommonJS module
+const ModuleSyntaxRegExp = /^\s*(import|export)[\s{*]|\b(module\.exports|exports\.\w+)\s*=/m;
+
+const isExporter = (e) => !!e && typeof e.begin === 'function' && typeof e.insert === 'function' && typeof e.save === 'function';
 
 export class I18n extends Ai18n {
+
+  _actions() {
+    const actions = super._actions();
+    actions.push(this.check, this.scan);
+    return actions;
+  }
+
   __initializeFS () {
     return FS;
   }
-}
\ No newline at end of file
+
+  // .i18n.js is imported as module: export default (or module.exports) is exporter or factory (exporter context) -> exporter
+  // in auto mode file without module syntax is evaluated as legacy one (detected before, as file must be executed once)
+  _loadExporter(exporterFile, exporter) {
+
+    const mode = this._config.exporterModule;
+    if (mode === ExporterModule.Legacy) {
+      return super._loadExporter(exporterFile, exporter);
+    }
+
+    return this._fs.readFile(exporterFile.path)
+      .then(content => {
+
+        const isModule = mode === ExporterModule.Module || ModuleExtensionRegExp.test(exporterFile.path) || ModuleSyntaxRegExp.test(content);
+
+        return isModule ? this._importExporter(exporterFile, exporter, content) : super._loadExporter(exporterFile, exporter);
+      });
+  }
+
+  _importExporter(exporterFile, exporter, content) {
+
+    const path = this._fs.resolvePath(exporterFile.path);
+
+    // file can be changed between exports (e.g. in watch mode), so caches are skipped
+    delete require.cache[path];
+
+    // content hash instead of mtime, as file can be changed several times in the same ms
+    return import(pathToFileURL(path).href + '?hash=' + fingerprint(content))
+      .catch(e => {
+
+        if (e.name !== 'SyntaxError') {
+          throw e;
+        }
+
+        throw new InvalidFileError(exporterFile.path, e.message + '\nES module needs "type": "module" in package.json (or .mjs file of config.exporterPath).');
+      })
+      .then(module => {
+        const factory = module.default;
+        return typeof factory === 'function' ? factory(exporter) : factory;
+      })
+      .then(moduleExporter => {
+
+        if (!isExporter(moduleExporter)) {
+          throw new InvalidFileError(exporterFile.path, 'Default export must be exporter { validate?, begin, insert, end?, save } or function that returns it.');
+        }
+
+        return Object.assign(exporter, moduleExporter);
+      });
+  }
+
+  // loads directory and resolves list of problems (see CheckDefaults)
+  check(options = {}) {
+    return this.load()
+      .then(() => checkState(this, this._fs, options));
+  }
+
+  // loads directory and scans sources for key references (options or config.scan, see ScanDefaults), options.addMissing adds missing keys as changes
+  scan(options = {}) {
+    return this.load()
+      .then(() => scanSources(this, Object.assign({}, this._config.scan, options)))
+      .then(result => {
+
+        if (!options.addMissing) {
+          return result;
+        }
+
+        const keys = Array.from(new Set(result.missing.map(m => m.key)));
+
+        return keys.reduce((promise, key) => promise.then(() => this.addKey({ key })), Promise.resolve())
+          .then(() => Object.assign(result, { added: keys }));
+      });
+  }
+}
@@ -1,8 +1,11 @@
 
 import { existsSync, mkdirSync, rmSync, writeFileSync, readFileSync } from 'fs';
 import { resolve } from 'path';
-import { buildFK, DefaultI18n, DefaultLocale, endWithSlash, InvalidDirectoryError, safeValue, toBacklog } from '../../a-i18n-core-js/index.js';
+import { AutoExport, buildFK, DefaultI18n, I18nJs, ManualExport, DefaultLocale, endWithSlash, ErrorCodes, ExportPolicy, fallbackLocales, fingerprint, HistoryI18n, InvalidDirectoryError, KeyState, safeValue, StaleIssue, StaleMode, toBacklog } from '../../a-i18n-core-js/index.js';
 import { I18n } from './i18n.js';
+import { loadConfig } from './config.js';
+import { ProblemCode, Severity } from './check.js';
+import { formatStatistics, StatsFormat } from './stats.js';
 
 
 const mkDir = (dir) => existsSync(dir) ? null : mkdirSync(dir);
@@ -96,4 +99,776 @@ test(`a-i18n-node`, () => {
       expect(rdFile(p, DefaultI18n)).toEqual(fileEn012);
     })
     ;
-})
\ No newline at end of file
+})
+
+test(`a-i18n-node: recovery`, () => {
+
+  const dir = 'recovery-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, DefaultI18n, `-${key1}=First\n-invalid\n-${key1}=Second\n-${key2}=Text\n`);
+
+  const config = {
+    rootPath: resolve(root),
+    directory: './' + dir,
+    errorHandler
+  };
+
+  const strict = new I18n(config);
+  const recovery = new I18n(Object.assign({ recovery: true }, config));
+
+  return strict.load()
+    .then(() => {
+      expect(strict.state.error).toMatchObject({ code: ErrorCodes.InvalidFormat, file: './' + dir + '/' + DefaultI18n, line: 2 });
+      expect(strict.state.problems).toEqual([]);
+    })
+
+    .then(() => recovery.load())
+    .then(() => {
+      expect(recovery.state.error).toBe(null);
+      expect(recovery.state.problems.map(p => [p.code, p.line])).toEqual([[ErrorCodes.InvalidFormat, 2], [ErrorCodes.DuplicateKey, 3]]);
+      expect(recovery.state.origins[buildFK(DefaultLocale, key1)].value).toEqual('First');
+    })
+
+    .then(() => expect(recovery.save()).rejects.toMatchObject({ code: ErrorCodes.NotResolvedError, problems: recovery.state.problems }))
+    .then(() => {
+      expect(rdFile(p, DefaultI18n)).toEqual(`-${key1}=First\n-invalid\n-${key1}=Second\n-${key2}=Text\n`); // skipped lines are not lost
+      return recovery.discardProblems({ file: './' + dir + '/' + DefaultI18n, line: 2 });
+    })
+    .then(discarded => {
+      expect(discarded).toBe(1);
+      expect(recovery.state.problems.map(p => p.line)).toEqual([ 3 ]);
+      return expect(recovery.save()).rejects.toMatchObject({ code: ErrorCodes.NotResolvedError });
+    })
+
+    .then(() => recovery.discardProblems())
+    .then(discarded => {
+      expect(discarded).toBe(1);
+      return recovery.save();
+    })
+    .then(() => expect(rdFile(p, DefaultI18n)).toEqual(`-${key1}=First\n-${key2}=Text\n`));
+})
+
+
+test(`a-i18n-node: importJson`, () => {
+
+  const dir = 'import-json-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+  mkDir(p + '/json');
+
+  mkFile(p, DefaultI18n, `+${key1}=Existing\n`);
+  mkFile(p + '/json', 'en.json', JSON.stringify({ test: { key: { one: 'Imported', two: 'Multi\nline' } } }));
+  mkFile(p + '/json', 'de.json', JSON.stringify({ 'test.key.one': 'Importiert' }));
+
+  const i18n = new I18n({
+    rootPath: resolve(root),
+    directory: './' + dir,
+    errorHandler
+  });
+
+  return i18n.load()
+    .then(() => i18n.importJson({ path: `./${dir}/json`, overwrite: false, approved: true }))
+    .then((result) => {
+      expect(result).toEqual({ added: 1, changed: 1 });
+      expect(i18n.state.locales).toEqual([ 'de', DefaultLocale ]);
+      expect(i18n.getT(buildFK(DefaultLocale, key1))).toMatchObject({ value: 'Existing', approved: true });
+      expect(i18n.getT(buildFK(DefaultLocale, key2))).toMatchObject({ value: safeValue('Multi\nline'), approved: true });
+      expect(i18n.getT(buildFK('de', key1))).toMatchObject({ value: 'Importiert', approved: true });
+    })
+
+    .then(() => i18n.importJson({ path: `./${dir}/json` }))
+    .then((result) => {
+      expect(result).toEqual({ added: 0, changed: 3 });
+      expect(i18n.getT(buildFK(DefaultLocale, key1))).toMatchObject({ value: 'Imported', approved: false });
+    });
+})
+
+
+test(`a-i18n-node: export preset from .i18n.json`, () => {
+
+  const dir = 'export-preset-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, DefaultI18n, `/${key2}=${safeComment2}\n+${key2}=${safeValue2}\n-${key1}=\n`);
+  mkFile(p, 'de.i18n', `-${key2}=Wert\n`);
+  mkFile(p, '.i18n.json', JSON.stringify({ './': { exporter: { preset: 'i18next', path: './dist/', namespace: 'common' } } }));
+
+  return loadConfig({ rootPath: resolve(p), errorHandler })
+    .then(config => {
+      expect(config.exporter).toEqual({ preset: 'i18next', path: './dist/', namespace: 'common' });
+      return new I18n(config);
+    })
+    .then(i18n => i18n.load().then(() => i18n.export()))
+    .then((result) => {
+      expect(result).toBe('Exported files: de/common.json, en/common.json.');
+      expect(JSON.parse(rdFile(p, 'dist/en/common.json'))).toEqual({ test: { key: { two: value2 } } });
+      expect(JSON.parse(rdFile(p, 'dist/de/common.json'))).toEqual({ test: { key: { two: 'Wert' } } });
+    });
+})
+
+
+// each exporter file is in own directory, as jest caches ES modules by path
+const exportWithExporter = (dir, fileName, content, options = {}, config = {}) => {
+
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, DefaultI18n, `+${key1}=${safeValue1}\n`);
+  mkFile(p, fileName, content);
+
+  const i18n = new I18n(Object.assign({ rootPath: resolve(p), errorHandler }, config));
+
+  return i18n.load()
+    .then(() => i18n.export(options));
+};
+
+test(`a-i18n-node: .i18n.js as module`, () => {
+
+  const exporter = (save) => `{ begin: () => ({}), insert: () => true, save: ${save} }`;
+
+  return exportWithExporter('exporter-module-i18n', I18nJs, [
+    `import { basename } from 'path';`,
+    `export default ({ type }) => {`,
+    `  const keys = [];`,
+    `  return { begin: (file) => basename(file.path), insert: (fileName, t) => keys.push(fileName + ':' + t.key), save: () => type + ' ' + keys.join() };`,
+    `};`
+  ].join('\n'))
+    .then(result => expect(result).toBe(`${ManualExport} ${DefaultI18n}:${key1}`))
+
+    .then(() => exportWithExporter('exporter-legacy-i18n', I18nJs, `Object.assign(this, ${exporter(`() => 'legacy ' + this.type`)});`, { type: AutoExport }))
+    .then(result => expect(result).toBe(`legacy ${AutoExport}`))
+
+    // legacy file is executed once
+    .then(() => exportWithExporter('exporter-legacy-once-i18n', I18nJs, `globalThis.legacyRuns = (globalThis.legacyRuns || 0) + 1;\nObject.assign(this, ${exporter(`() => 'once'`)});`))
+    .then(result => {
+      expect(result).toBe('once');
+      expect(globalThis.legacyRuns).toBe(1);
+    })
+
+    .then(() => exportWithExporter('exporter-as-default-i18n', I18nJs, `const factory = ({ type }) => (${exporter(`() => 'as default ' + type`)});\nexport { factory as default };`))
+    .then(result => expect(result).toBe(`as default ${ManualExport}`))
+
+    .then(() => {
+      mkDir(root + 'exporter-shared');
+      mkFile(root + 'exporter-shared', 'exporter.js', `export default ${exporter(`() => 're-export'`)};`);
+      return exportWithExporter('exporter-re-export-i18n', I18nJs, `export { default } from '../exporter-shared/exporter.js';`);
+    })
+    .then(result => expect(result).toBe('re-export'))
+
+    .then(() => expect(exportWithExporter('exporter-invalid-i18n', I18nJs, `export default { begin: () => ({}) };`)).rejects.toMatchObject({ code: ErrorCodes.InvalidFile }))
+
+    // .mjs and .cjs files are always modules
+    .then(() => expect(exportWithExporter('exporter-mjs-legacy-i18n', '.i18n.mjs', `Object.assign(this, ${exporter(`() => 'legacy'`)});`, {}, { exporterPath: './.i18n.mjs' })).rejects.toBeInstanceOf(TypeError))
+    .then(() => exportWithExporter('exporter-mjs-i18n', '.i18n.mjs', `export default ${exporter(`() => 'mjs'`)};`, {}, { exporterPath: './.i18n.mjs' }))
+    .then(result => expect(result).toBe('mjs'));
+})
+
+
+test(`a-i18n-node: multiple exporters`, () => {
+
+  const handled = [];
+
+  const dir = 'exporters-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, DefaultI18n, `+${key1}=${safeValue1}\n`);
+
+  const i18n = new I18n({
+    rootPath: resolve(p),
+    errorHandler,
+    exportHandler: (result, isError, name) => handled.push([ name, isError ]),
+    exporters: [
+      { name: 'web', preset: 'json-flat', path: './web/' },
+      { name: 'custom', begin: () => ({}), insert: () => true, save() { return 'custom ' + this.name; } }
+    ]
+  });
+
+  return i18n.load()
+    .then(() => i18n.export())
+    .then(result => {
+      expect(result).toEqual({ web: 'Exported files: en.json.', custom: 'custom custom' });
+      expect(handled).toEqual([ [ 'web', false ], [ 'custom', false ] ]);
+      expect(JSON.parse(rdFile(p, 'web/en.json'))).toEqual({ [key1]: safeValue1 });
+    })
+
+    .then(() => i18n.export({ name: 'custom' }))
+    .then(result => expect(result).toEqual({ custom: 'custom custom' }))
+
+    .then(() => expect(i18n.export({ name: 'unknown' })).rejects.toMatchObject({ code: ErrorCodes.Export, message: expect.stringContaining('unknown') }));
+})
+
+
+test(`a-i18n-node: check`, () => {
+
+  const dir = 'check-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=A\n+b=B\n`);
+  mkFile(p, 'de.i18n', `-a=A de\n+b=\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler });
+  const codes = (problems) => problems.map(p => [ p.code, p.locale, p.key ]);
+
+  return i18n.check()
+    .then(problems => {
+      expect(codes(problems)).toEqual([ [ ProblemCode.NotApproved, 'de', 'a' ], [ ProblemCode.EmptyValue, 'de', 'b' ] ]);
+      expect(problems[0]).toMatchObject({ file: './de.i18n', line: 1 });
+    })
+
+    // values of backlog are checked
+    .then(() => i18n.applyChange({ locale: 'de', key: 'a', value: 'A de', approved: true }))
+    .then(() => i18n.applyChange({ locale: 'de', key: 'b', value: 'B de' }))
+    .then(() => i18n.addKey({ key: 'c' }))
+    .then(() => i18n.check({ backlog: false }))
+    .then(problems => expect(codes(problems)).toEqual([
+      [ ProblemCode.NotApproved, 'de', 'b' ],
+      [ ProblemCode.EmptyValue, 'de', 'c' ],
+      [ ProblemCode.EmptyValue, 'en', 'c' ]
+    ]))
+
+    .then(() => i18n.check())
+    .then(problems => expect(problems.map(p => p.code)).toContain(ProblemCode.BacklogFile));
+})
+
+
+test(`a-i18n-node: ICU issues`, () => {
+
+  const key = 'files';
+
+  const dir = 'icu-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+${key}={count, plural, one {# file} other {# files}}\n`);
+  mkFile(p, 'de.i18n', `+${key}={count, plural, one {# Datei} other {# Dateien}\n`);
+  mkFile(p, 'ja.i18n', `+${key}={count, plural, one {# x} other {# ファイル}} {name}\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, icu: true, lint: false });
+
+  return i18n.load()
+    .then(() => {
+
+      const { issues } = i18n.getKeyInfo(key);
+      expect(Object.keys(issues).sort()).toEqual([ 'de', 'ja' ]);
+      expect(issues.de[0].code).toBe(ProblemCode.IcuSyntax);
+      expect(issues.ja.map(i => i.code)).toEqual([ ProblemCode.IcuPluralCategory, ProblemCode.IcuParams ]);
+
+      return i18n.check({ backlog: false });
+    })
+    .then(problems => {
+      expect(problems.map(p => [ p.code, p.severity, p.locale, p.line ])).toEqual([
+        [ ProblemCode.IcuSyntax, Severity.Error, 'de', 1 ],
+        [ ProblemCode.IcuPluralCategory, Severity.Warning, 'ja', 1 ],
+        [ ProblemCode.IcuParams, Severity.Warning, 'ja', 1 ]
+      ]);
+      return i18n.check({ backlog: false, icu: false });
+    })
+    .then(problems => expect(problems).toEqual([]))
+
+    // i18next placeholders are not ICU syntax errors by default
+    .then(() => {
+      const defaultP = root + 'icu-default-i18n';
+      rmDir(defaultP);
+      mkDir(defaultP);
+      mkFile(defaultP, 'en.i18n', `+a=Hello {{name}}\n`);
+      return new I18n({ rootPath: resolve(defaultP), errorHandler, lint: false });
+    })
+    .then(defaultI18n => defaultI18n.check({ backlog: false })
+      .then(problems => {
+        expect(problems).toEqual([]);
+        expect(defaultI18n.getKeyInfo('a').issues).toEqual({});
+      }));
+})
+
+
+test(`a-i18n-node: lint`, () => {
+
+  const dir = 'lint-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=Hello <b>{name}</b>!\n+b=Line\\_two\n`);
+  mkFile(p, 'de.i18n', `+a=Hallo {name}!\n+b=Zeile zwei\n`);
+
+  const i18n = new I18n({
+    rootPath: resolve(p),
+    errorHandler,
+    lint: { tags: 'error', newlines: 'off' },
+    exporter: { preset: 'json', path: './dist/' }
+  });
+
+  return i18n.load()
+    .then(() => i18n.lint())
+    .then(problems => {
+      expect(problems).toEqual([ { locale: 'de', key: 'a', code: 'tags', severity: 'error', message: 'Tags none differ from </b>, <b> of source', file: './de.i18n', line: 1 } ]);
+      expect(i18n.getKeyInfo('a').issues.de.map(i => i.code)).toEqual([ 'tags' ]);
+      return i18n.lint({ rules: { newlines: 'warning' } });
+    })
+    .then(problems => expect(problems.map(p => p.code)).toEqual([ 'tags', 'newlines' ]))
+
+    .then(() => expect(i18n.export()).rejects.toMatchObject({ code: ErrorCodes.Lint, problems: [ expect.objectContaining({ key: 'a', code: 'tags' }) ] }))
+    .then(() => expect(existsSync(p + '/dist')).toBe(false))
+
+    .then(() => i18n.export({ lint: false }))
+    .then(() => expect(existsSync(p + '/dist/de.json')).toBe(true))
+
+    // rules are opt-in
+    .then(() => new I18n({ rootPath: resolve(p), errorHandler }))
+    .then(defaultI18n => defaultI18n.load().then(() => defaultI18n.lint()))
+    .then(problems => expect(problems).toEqual([]))
+
+    // values aren't checked on export without error rules
+    .then(() => new I18n({ rootPath: resolve(p), errorHandler, lint: { tags: 'warning' }, exporter: { preset: 'json', path: './dist/' } }))
+    .then(warningI18n => {
+      warningI18n._lint = () => { throw new Error('Values are checked'); };
+      return warningI18n.load().then(() => warningI18n.export());
+    })
+    .then(result => expect(result).toBe('Exported files: de.json, en.json.'));
+})
+
+
+test(`a-i18n-node: export with fallbacks`, () => {
+
+  const inserted = {};
+
+  const exporter = {
+    begin: (file) => inserted[file.locale] = {},
+    insert: (data, t) => data[t.key] = t.fallback ? [ t.value, t.fallback ] : t.value,
+    save: () => true
+  };
+
+  const dir = 'fallbacks-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=A\n+b=B\n+c=C\n`);
+  mkFile(p, 'es.i18n', `+a=A es\n-b=B es\n+c=\n`);
+  mkFile(p, 'es-ES.i18n', `+a=A es-ES\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, exporter });
+
+  expect(fallbackLocales('es-ES', [ 'en', 'es', 'es-ES' ], 'en')).toEqual([ 'es', 'en' ]);
+  expect(fallbackLocales('es-ES', [ 'en', 'es-ES' ], 'en', { 'es-ES': [ 'pt', 'en' ] })).toEqual([ 'en' ]);
+
+  return i18n.load()
+    .then(() => i18n.export())
+    .then(() => expect(inserted['es-ES']).toEqual({ a: 'A es-ES' }))
+
+    .then(() => i18n.export({ fallbacks: true }))
+    .then(() => {
+      expect(inserted['es-ES']).toEqual({ a: 'A es-ES', b: [ 'B es', 'es' ], c: [ 'C', 'en' ] });
+      expect(inserted.es).toEqual({ a: 'A es', b: 'B es', c: [ 'C', 'en' ] });
+      expect(inserted.en).toEqual({ a: 'A', b: 'B', c: 'C' });
+    })
+
+    .then(() => i18n.export({ fallbacks: { 'es-ES': [ 'en' ] } }))
+    .then(() => expect(inserted['es-ES']).toEqual({ a: 'A es-ES', b: [ 'B', 'en' ], c: [ 'C', 'en' ] }));
+})
+
+
+test(`a-i18n-node: export policy`, () => {
+
+  const inserted = {};
+
+  const exporter = {
+    begin: (file) => inserted[file.locale] = {},
+    insert: (data, t) => data[t.key] = t.fallback ? [ t.value, t.fallback ] : t.value,
+    save: () => true
+  };
+
+  const dir = 'policy-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=A\n+b=B\n`);
+  mkFile(p, 'de.i18n', `+a=A de\n-b=B de\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, exporter });
+
+  return i18n.load()
+    .then(() => i18n.export({ policy: ExportPolicy.All }))
+    .then(() => expect(inserted.de).toEqual({ a: 'A de', b: 'B de' }))
+
+    .then(() => i18n.export({ policy: ExportPolicy.Approved }))
+    .then(() => expect(inserted.de).toEqual({ a: 'A de' }))
+
+    .then(() => i18n.export({ policy: ExportPolicy.Fallback }))
+    .then(() => expect(inserted.de).toEqual({ a: 'A de', b: [ 'B', 'en' ] }))
+
+    .then(() => expect(i18n.export({ minApproval: 0.5 })).resolves.toBe(true))
+    .then(() => expect(i18n.export({ minApproval: 0.9 })).rejects.toMatchObject({ code: ErrorCodes.Export, rates: { de: 0.5 } }));
+})
+
+
+test(`a-i18n-node: getStatistics`, () => {
+
+  const dir = 'stats-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=Hello world\n+b=Line\\_two\n`);
+  mkFile(p, 'de.i18n', `-a=Hallo Welt\n+b=\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler });
+
+  return i18n.load()
+    .then(() => i18n.applyChange({ locale: 'de', key: 'b', value: 'Zeile', approved: true }))
+    .then(() => {
+
+      const statistics = i18n.getStatistics();
+
+      expect(statistics.en).toEqual({ keys: 2, filled: 2, empty: 0, approved: 2, unapproved: 0, words: 4, characters: 19, pending: 0 });
+      expect(statistics.de).toEqual({ keys: 2, filled: 2, empty: 0, approved: 1, unapproved: 1, words: 3, characters: 15, pending: 1 });
+
+      expect(formatStatistics(statistics, StatsFormat.Markdown)).toContain('**Translated: 100%, approved: 75%**\n');
+      expect(formatStatistics(statistics, StatsFormat.Table).split('\n')[2]).toBe('en         2       2      0         2           0      4          19        0  100% / 100%');
+    });
+})
+
+
+test(`a-i18n-node: stale translations`, () => {
+
+  const dir = 'stale-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=Hello\n+b=Bye\n`);
+  mkFile(p, 'de.i18n', `+a=Hallo\n+b=Tschüss\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, staleMode: StaleMode.Unapprove });
+
+  return i18n.load()
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'Hello!', approved: true }))
+    .then(() => {
+      expect(i18n.getT(buildFK('de', 'a'))).toMatchObject({ value: 'Hallo', approved: false });
+      expect(i18n.getT(buildFK('de', 'b')).approved).toBe(true);
+      expect(i18n.getStale()).toEqual([ { locale: 'de', key: 'a', value: 'Hallo', approved: false, source: 'Hello!', previousSource: 'Hello' } ]);
+      expect(i18n.getKeyInfo('a').issues.de.map(i => i.code)).toContain(StaleIssue);
+      expect(rdFile(p, 'de@.i18n')).toBe('-a=Hallo\n');
+    })
+
+    .then(() => i18n.applyChange({ locale: 'de', key: 'a', value: 'Hallo', approved: true }))
+    .then(() => expect(i18n.getStale()).toEqual([]))
+
+    .then(() => i18n.revertChanges())
+    .then(() => new I18n({ rootPath: resolve(p), errorHandler, staleMode: StaleMode.Review }))
+    .then(reviewI18n => reviewI18n.load()
+      .then(() => reviewI18n.applyChange({ locale: 'en', key: 'b', value: 'Goodbye', approved: true }))
+      .then(() => {
+        expect(reviewI18n.getT(buildFK('de', 'b')).approved).toBe(true);
+        expect(reviewI18n.getStale().map(t => [ t.locale, t.key, t.approved ])).toEqual([ [ 'de', 'b', true ] ]);
+      })
+      .then(() => reviewI18n.revertChanges()))
+
+    // not tracked by default
+    .then(() => new I18n({ rootPath: resolve(p), errorHandler }))
+    .then(defaultI18n => defaultI18n.load()
+      .then(() => defaultI18n.applyChange({ locale: 'en', key: 'a', value: 'Hello!', approved: true }))
+      .then(() => {
+        expect(defaultI18n.getStale()).toEqual([]);
+        expect(existsSync(p + '/de@.i18n')).toBe(false);
+      })
+      .then(() => defaultI18n.revertChanges()))
+
+    // with fingerprints stale translations are kept after save()
+    .then(() => mkFile(p, 'de.i18n', `+a=Hallo\n~a=${fingerprint('Hello')}\n+b=Tschüss\n`))
+    .then(() => new I18n({ rootPath: resolve(p), errorHandler, staleMode: StaleMode.Review, fingerprints: true }))
+    .then(fingerprintsI18n => fingerprintsI18n.load()
+      .then(() => fingerprintsI18n.applyChange({ locale: 'en', key: 'a', value: 'Hello!', approved: true }))
+      .then(() => expect(fingerprintsI18n.getStale()).toEqual([ { locale: 'de', key: 'a', value: 'Hallo', approved: true, source: 'Hello!', previousSource: 'Hello' } ]))
+      .then(() => fingerprintsI18n.save())
+      .then(() => expect(fingerprintsI18n.getStale()).toEqual([ { locale: 'de', key: 'a', value: 'Hallo', approved: true, source: 'Hello!' } ])));
+})
+
+
+test(`a-i18n-node: fingerprints`, () => {
+
+  const dir = 'fingerprints-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=Hello\n+b=Bye\n`);
+  mkFile(p, 'de.i18n', `-a=\n+b=Tschüss\n~b=${fingerprint('Bye!')}\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, fingerprints: true });
+
+  return i18n.load()
+    .then(() => {
+      expect(i18n.getOutdated()).toEqual([ { locale: 'de', key: 'b', value: 'Tschüss', fingerprint: fingerprint('Bye!'), sourceFingerprint: fingerprint('Bye') } ]);
+      return i18n.applyChange({ locale: 'de', key: 'a', value: 'Hallo', approved: true });
+    })
+    .then(() => i18n.applyChange({ locale: 'de', key: 'b', value: 'Tschüss', approved: false }))
+    .then(() => i18n.save())
+    .then(() => {
+      expect(rdFile(p, 'de.i18n')).toBe(`+a=Hallo\n~a=${fingerprint('Hello')}\n-b=Tschüss\n~b=${fingerprint('Bye')}\n`);
+      expect(i18n.getOutdated()).toEqual([]);
+      return i18n.applyChange({ locale: 'en', key: 'a', value: 'Hello!', approved: true });
+    })
+    .then(() => i18n.save())
+    .then(() => new I18n({ rootPath: resolve(p), errorHandler }))
+    .then(reloaded => reloaded.load().then(() => expect(reloaded.getOutdated().map(t => t.key)).toEqual([ 'a' ])));
+})
+
+
+test(`a-i18n-node: revert changes with fingerprints`, () => {
+
+  const dir = 'fingerprints-revert-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=Hello\n+b=Bye\n`);
+  mkFile(p, 'de.i18n', `+a=Hallo\n~a=${fingerprint('Hi')}\n-b=\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, fingerprints: true });
+
+  return i18n.load()
+    .then(() => i18n.applyChange({ locale: 'de', key: 'a', value: 'Hallo!' }))
+    .then(() => i18n.applyChange({ locale: 'de', key: 'b', value: 'Tschüss' }))
+    .then(() => i18n.copyKey({ fromKey: 'a', toKey: 'c' }))
+    .then(() => {
+      expect(i18n.getT(buildFK('de', 'c')).fingerprint).toBe(fingerprint('Hello'));
+      return i18n.revertChanges({ locale: 'de' });
+    })
+    .then(() => {
+      expect(i18n.getKeyState('a')).toBe(KeyState.Original);
+      expect(i18n.getKeyState('b')).toBe(KeyState.Original);
+      expect(i18n.getT(buildFK('de', 'a'))).toMatchObject({ value: 'Hallo', fingerprint: fingerprint('Hi') });
+      expect(existsSync(p + '/de@.i18n')).toBe(true); // key 'c' is still added
+      return i18n.revertChanges({ key: 'c' });
+    })
+    .then(() => expect(existsSync(p + '/de@.i18n')).toBe(false));
+})
+
+
+test(`a-i18n-node: undo and redo`, () => {
+
+  const dir = 'history-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=A\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler });
+  const reloaded = new I18n({ rootPath: resolve(p), errorHandler });
+  const value = (key) => (reloaded.getT(buildFK('en', key)) || {}).value;
+
+  return i18n.load()
+    .then(() => i18n.undo())
+    .then(result => expect(result).toBe(false))
+
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A1' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A2', comment: 'Comment' }))
+    .then(() => i18n.addKey({ key: 'b' }))
+
+    .then(() => i18n.undo())
+    .then(() => expect(i18n.state.keys.has('b')).toBe(false))
+    .then(() => i18n.undo())
+    .then(() => expect(i18n.getT(buildFK('en', 'a'))).toMatchObject({ value: 'A1', approved: false, comment: '' }))
+
+    .then(() => expect(rdFile(p, HistoryI18n).split('\n').map(line => JSON.parse(line || '[]')[0])).toEqual([ 'do', 'do', 'do', 'undo', 'undo', undefined ])) // appended
+
+    .then(() => reloaded.load()) // history is stored next to backlog
+    .then(() => reloaded.redo())
+    .then(() => expect(reloaded.getT(buildFK('en', 'a'))).toMatchObject({ value: 'A2', comment: 'Comment' }))
+    .then(() => reloaded.redo())
+    .then(() => expect(reloaded.state.keys.has('b')).toBe(true))
+
+    .then(() => reloaded.undo())
+    .then(() => reloaded.undo())
+    .then(() => reloaded.undo())
+    .then(() => {
+      expect(value('a')).toBe('A');
+      expect(reloaded.getKeyState('a')).toBe(KeyState.Original);
+      expect(existsSync(p + '/' + HistoryI18n)).toBe(false); // removed with backlog
+    })
+    .then(() => reloaded.redo()) // but kept in memory
+    .then(() => expect(value('a')).toBe('A1'))
+
+    .then(() => reloaded.applyChange({ locale: 'en', key: 'a', value: 'A3' })) // new change clears redo
+    .then(() => reloaded.redo())
+    .then(result => {
+      expect(result).toBe(false);
+      expect(value('a')).toBe('A3');
+    })
+
+    // history covers not saved changes only
+    .then(() => reloaded.save())
+    .then(() => {
+      expect(existsSync(p + '/' + HistoryI18n)).toBe(false);
+      return reloaded.undo();
+    })
+    .then(result => {
+      expect(result).toBe(false);
+      expect(value('a')).toBe('A3');
+      return reloaded.check();
+    })
+    .then(problems => expect(problems.map(p => p.code)).not.toContain(ProblemCode.BacklogFile))
+
+    .then(() => reloaded.applyChange({ locale: 'en', key: 'a', value: 'A4' }))
+    .then(() => reloaded.revertChanges())
+    .then(() => reloaded.undo())
+    .then(result => {
+      expect(result).toBe(false);
+      expect(existsSync(p + '/' + HistoryI18n)).toBe(false);
+    });
+})
+
+
+test(`a-i18n-node: undo of key actions`, () => {
+
+  const dir = 'history-keys-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `/a=Comment\n+a=A\n+b=B\n`);
+  mkFile(p, 'de.i18n', `-a=A de\n+b=B de\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler });
+  const t = (locale, key) => i18n.getT(buildFK(locale, key));
+
+  return i18n.load()
+    .then(() => i18n.deleteKey({ key: 'a' }))
+    .then(() => expect(i18n.state.keys.has('a')).toBe(false))
+    .then(() => i18n.undo())
+    .then(() => {
+      expect(i18n.state.keys.has('a')).toBe(true);
+      expect(t('en', 'a')).toMatchObject({ value: 'A', approved: true, comment: 'Comment' });
+      expect(t('de', 'a')).toMatchObject({ value: 'A de', approved: false });
+      expect(i18n.getKeyState('a')).toBe(KeyState.Original);
+    })
+
+    .then(() => i18n.addKey({ key: 'c' }))
+    .then(() => i18n.undo())
+    .then(() => {
+      expect(i18n.state.keys.has('c')).toBe(false);
+      expect(t('en', 'c')).toBeUndefined();
+    })
+
+    .then(() => i18n.copyKey({ fromKey: 'b', toKey: 'd' }))
+    .then(() => expect(t('de', 'd')).toMatchObject({ value: 'B de', approved: true }))
+    .then(() => i18n.undo())
+    .then(() => {
+      expect(i18n.state.keys.array).toEqual([ 'a', 'b' ]);
+      expect(existsSync(p + '/en@.i18n')).toBe(false); // all changes are reverted
+    });
+})
+
+
+test(`a-i18n-node: backlog compaction`, () => {
+
+  const dir = 'compact-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=A\n+b=B\n`);
+  mkFile(p, 'en@.i18n', `-a=A0`); // without new line in the end
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, compactBacklog: 5 });
+  const value = (key) => (i18n.getT(buildFK('en', key)) || {}).value;
+
+  return i18n.load()
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A1' }))
+    .then(() => expect(rdFile(p, 'en@.i18n')).toBe(`-a=A0\n-a=A1\n`))
+
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A2' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'b', value: 'B' })) // the same as saved one
+    .then(() => i18n.deleteKey({ key: 'b' }))
+    .then(() => i18n.addKey({ key: 'c' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A3', comment: 'Comment' }))
+    .then(() => {
+      expect(rdFile(p, 'en@.i18n')).toBe(`/a=\n-a=A2\n#b\n/c=\n-c=\n/a=Comment\n-a=A3\n`); // compacted on addKey()
+      expect(i18n.state.changes.backlogs.en).toMatchObject({ lines: 7, net: 5, terminated: true });
+    })
+
+    .then(() => i18n.load())
+    .then(() => {
+      expect(value('a')).toBe('A3');
+      expect(i18n.state.keys.array).toEqual([ 'a', 'c' ]);
+      expect(i18n.getKeyState('b')).toBe(KeyState.Deleted);
+    })
+
+    .then(() => i18n.revertChanges({ key: 'a' }))
+    .then(() => i18n.revertChanges({ key: 'b' }))
+    .then(() => i18n.revertChanges({ key: 'c' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'b', value: 'B1' }))
+    .then(() => expect(rdFile(p, 'en@.i18n')).toBe(`-b=B1\n`));
+})
+
+
+test(`a-i18n-node: backlog without fs.appendFile`, () => {
+
+  const dir = 'append-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=A\n`);
+  mkFile(p, 'en@.i18n', `-a=A0`); // without new line in the end
+
+  class NoAppendI18n extends I18n {
+    __initializeFS () {
+      const { appendFile, ...fs } = super.__initializeFS();
+      return fs;
+    }
+  }
+
+  const i18n = new NoAppendI18n({ rootPath: resolve(p), errorHandler });
+
+  return i18n.load()
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A1' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A2' }))
+    .then(() => expect(rdFile(p, 'en@.i18n')).toBe(`-a=A0\n-a=A1\n-a=A2\n`));
+})
+
+
+test(`a-i18n-node: backlog compaction of many changes`, () => {
+
+  const dir = 'compact-many-i18n';
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p);
+
+  mkFile(p, 'en.i18n', `+a=A\n+b=B\n+c=C\n`);
+
+  const i18n = new I18n({ rootPath: resolve(p), errorHandler, compactBacklog: 2 });
+  const net = (a) => `/a=\n-a=${a}\n/b=\n-b=B1\n/c=\n-c=C1\n`;
+
+  return i18n.load()
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A1' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'b', value: 'B1' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'c', value: 'C1' }))
+    .then(() => expect(rdFile(p, 'en@.i18n')).toBe(net('A1')))
+
+    // net changes are longer than limit, but next changes are appended
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A2' }))
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A3' }))
+    .then(() => {
+      expect(rdFile(p, 'en@.i18n')).toBe(net('A1') + `-a=A2\n-a=A3\n`);
+      expect(i18n.state.changes.backlogs.en).toMatchObject({ lines: 8, net: 6 });
+    })
+
+    .then(() => i18n.applyChange({ locale: 'en', key: 'a', value: 'A4' }))
+    .then(() => expect(rdFile(p, 'en@.i18n')).toBe(net('A4')));
+})
@@ -0,0 +1,196 @@
+import fs from 'fs/promises';
+
+import { Encoding, KeyValueSeparator, RootDirectory } from '../../a-i18n-core-js/index.js';
+import { ProblemCode, Severity } from './check.js';
+
+
+export const ScanDefaults = {
+  include: [ './src/**/*.{js,jsx,ts,tsx,mjs,cjs,vue,svelte,html}' ], // globs relative to root path
+  exclude: [ '**/node_modules/**', '**/.git/**' ],
+  patterns: [ '\\bt\\(\\s*[\'"`]([^\'"`]+)[\'"`]' ], // 1st group is i18n-key: t('key'), i18n.t("key"), $t(`key`)
+  unused: true,
+  missing: true
+};
+
+
+// glob (**, *, ?, {a,b}) -> RegExp of path relative to root path (without ./)
+export function globToRegExp(glob) {
+
+  glob = glob.startsWith(RootDirectory) ? glob.substring(RootDirectory.length) : glob;
+
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+
+    const c = glob[i];
+
+    if (c === '*' && glob[i + 1] === '*') {
+
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '{') {
+      braces++;
+      source += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (c === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp('^' + source + '$');
+}
+
+// directory to start walking from: static part of glob
+const globBase = (glob) => {
+
+  const parts = (glob.startsWith(RootDirectory) ? glob.substring(RootDirectory.length) : glob).split('/');
+  const base = [];
+
+  for (const part of parts.slice(0, parts.length - 1)) {
+    if (/[*?{]/.test(part)) break;
+    base.push(part);
+  }
+
+  return base.join('/');
+};
+
+
+function walk(rootPath, directory, isExcluded, onFile) {
+  return fs.readdir(rootPath + directory, { withFileTypes: true })
+    .catch(e => {
+      if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return [];
+      throw e;
+    })
+    .then(entries => Promise.all(entries.map(entry => {
+
+      const path = directory + entry.name;
+
+      if (entry.isDirectory()) {
+        return isExcluded(path + '/') ? true : walk(rootPath, path + '/', isExcluded, onFile);
+      } else if (entry.isFile() && !isExcluded(path)) {
+        onFile(path);
+      }
+
+      return true;
+    })));
+}
+
+// absolute root path -> relative paths of files (./src/a.js) matched by include and not matched by exclude globs
+export function findSourceFiles(rootPath, include = ScanDefaults.include, exclude = ScanDefaults.exclude) {
+
+  rootPath = rootPath.endsWith('/') ? rootPath : rootPath + '/';
+
+  const includes = include.map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+
+  const isExcluded = (path) => excludes.some(re => re.test(path));
+
+  const files = new Set();
+  const onFile = (path) => includes.some(re => re.test(path)) && files.add(path);
+
+  const bases = Array.from(new Set(include.map(globBase)));
+
+  return Promise.all(bases.map(base => walk(rootPath, base.length > 0 ? base + '/' : '', isExcluded, onFile)))
+    .then(() => Array.from(files).sort().map(path => RootDirectory + path));
+}
+
+
+const toRegExp = (pattern) => {
+  const re = typeof pattern === 'string' ? new RegExp(pattern, 'g') : pattern;
+  return re.flags.indexOf('g') >= 0 ? re : new RegExp(re.source, re.flags + 'g');
+};
+
+// key references in content -> [{ key, line, column }] (dynamic keys like `a.${b}` are skipped)
+export function findKeyReferences(content, patterns = ScanDefaults.patterns) {
+
+  const references = [];
+
+  for (const pattern of patterns.map(toRegExp)) {
+
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(content)) !== null) {
+
+      const key = match[1];
+      if (!key || key.indexOf('${') >= 0 || key.indexOf(KeyValueSeparator) >= 0) {
+        continue;
+      }
+
+      const index = match.index + match[0].indexOf(key);
+      const before = content.substring(0, index);
+      const line = before.split('\n').length;
+      const column = index - before.lastIndexOf('\n');
+
+      references.push({ key, line, column });
+    }
+  }
+
+  return references;
+}
+
+
+// i18n must be loaded -> { files, used: { [key]: [{ file, line, column }] }, unused: [key], missing: [{ key, file, line, column }] }
+export function scanSources(i18n, options = {}) {
+
+  const { include, exclude, patterns } = Object.assign({}, ScanDefaults, options);
+  const rootPath = i18n._fs.resolvePath(RootDirectory);
+
+  return findSourceFiles(rootPath, include, exclude)
+    .then(files => Promise.all(files.map(file => fs.readFile(i18n._fs.resolvePath(file), Encoding)))
+      .then(contents => {
+
+        const used = {};
+        const missing = [];
+
+        files.forEach((file, i) => {
+          for (const { key, line, column } of findKeyReferences(contents[i], patterns)) {
+
+            (used[key] = used[key] || []).push({ file, line, column });
+
+            if (!i18n.state.keys.has(key)) {
+              missing.push({ key, file, line, column });
+            }
+          }
+        });
+
+        const unused = i18n.state.keys.array.filter(key => !used[key]);
+
+        return { files, used, unused, missing };
+      }));
+}
+
+// result of scanSources() -> problems (see check.js)
+export function scanProblems(result, options = {}) {
+
+  const { unused, missing } = Object.assign({}, ScanDefaults, options);
+  const problems = [];
+
+  if (missing) {
+    result.missing.forEach(({ key, file, line, column }) => problems.push({
+      code: ProblemCode.MissingKey, severity: Severity.Error, message: `Key "${key}" is used, but missing in .i18n files.`, file, line, column, key
+    }));
+  }
+
+  if (unused) {
+    result.unused.forEach(key => problems.push({
+      code: ProblemCode.UnusedKey, severity: Severity.Warning, message: `Key "${key}" is not used in sources.`, key
+    }));
+  }
+
+  return problems;
+}
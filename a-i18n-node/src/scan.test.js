@@ -0,0 +1,60 @@
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { DefaultI18n } from '../../a-i18n-core-js/index.js';
+import { I18n } from './i18n.js';
+import { findKeyReferences, globToRegExp } from './scan.js';
+
+
+const globs = [
+  [ './src/**/*.{js,vue}', [ 'src/a.js', 'src/x/y/b.vue' ], [ 'src/a.ts', 'lib/a.js', 'src.js' ] ],
+  [ 'src/*.js', [ 'src/a.js' ], [ 'src/x/a.js' ] ],
+  [ '**/node_modules/**', [ 'node_modules/a.js', 'x/node_modules/y/' ], [ 'node_modules_x/a.js' ] ],
+  [ 'a?.js', [ 'ab.js' ], [ 'a.js', 'a/.js' ] ]
+];
+
+for (const [ glob, matched, notMatched ] of globs) {
+  test(`a-i18n-node.globToRegExp(): ${glob}`, () => {
+    const re = globToRegExp(glob);
+    matched.forEach(path => expect(path + ' ' + re.test(path)).toBe(path + ' true'));
+    notMatched.forEach(path => expect(path + ' ' + re.test(path)).toBe(path + ' false'));
+  });
+}
+
+test('a-i18n-node.findKeyReferences(): default and custom patterns', () => {
+
+  const content = `t('a.b');\n  i18n.t("c.d", { n }); $t(\`e.\${f}\`); format('x.y')`;
+
+  expect(findKeyReferences(content)).toEqual([
+    { key: 'a.b', line: 1, column: 4 },
+    { key: 'c.d', line: 2, column: 11 }
+  ]);
+
+  expect(findKeyReferences(content, [ /format\('([^']+)'/ ])).toEqual([ { key: 'x.y', line: 2, column: 47 } ]);
+});
+
+test('a-i18n-node: scan', () => {
+
+  const p = './tests/scan-i18n';
+  rmSync(p, { recursive: true, force: true });
+  mkdirSync(p + '/src/lib', { recursive: true });
+  mkdirSync(p + '/node_modules/lib', { recursive: true });
+
+  writeFileSync(p + '/' + DefaultI18n, '-used.key=\n-unused.key=\n');
+  writeFileSync(p + '/src/app.js', `t('used.key'); t('missing.key');\n`);
+  writeFileSync(p + '/src/lib/util.ts', `t('missing.key'); t('other.missing');`);
+  writeFileSync(p + '/node_modules/lib/index.js', `t('ignored.key');`);
+
+  const i18n = new I18n({ rootPath: resolve(p), scan: { include: [ './src/**/*.{js,ts}' ] } });
+
+  return i18n.scan()
+    .then(result => {
+      expect(result.files).toEqual([ './src/app.js', './src/lib/util.ts' ]);
+      expect(result.unused).toEqual([ 'unused.key' ]);
+      expect(result.missing.map(m => m.key + ':' + m.file + ':' + m.line)).toEqual([ 'missing.key:./src/app.js:1', 'missing.key:./src/lib/util.ts:1', 'other.missing:./src/lib/util.ts:1' ]);
+    })
+    .then(() => i18n.scan({ addMissing: true }))
+    .then(result => {
+      expect(result.added).toEqual([ 'missing.key', 'other.missing' ]);
+      expect(i18n.state.keys.array).toEqual([ 'missing.key', 'other.missing', 'unused.key', 'used.key' ]);
+    });
+});
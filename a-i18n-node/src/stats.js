@@ -0,0 +1,80 @@
+
+export const StatsFormat = {
+  Table: 'table',
+  Json: 'json',
+  Markdown: 'markdown'
+};
+
+const Columns = [
+  [ 'Locale', (locale) => locale ],
+  [ 'Keys', (locale, s) => s.keys ],
+  [ 'Filled', (locale, s) => s.filled ],
+  [ 'Empty', (locale, s) => s.empty ],
+  [ 'Approved', (locale, s) => s.approved ],
+  [ 'Unapproved', (locale, s) => s.unapproved ],
+  [ 'Words', (locale, s) => s.words ],
+  [ 'Characters', (locale, s) => s.characters ],
+  [ 'Pending', (locale, s) => s.pending ],
+  [ 'Progress', (locale, s) => percent(s.filled, s.keys) + ' / ' + percent(s.approved, s.keys) ] // filled / approved
+];
+
+
+const percent = (count, total) => (total > 0 ? Math.floor(count * 100 / total) : 100) + '%';
+
+function totals(statistics) {
+
+  const total = { keys: 0, filled: 0, approved: 0 };
+
+  for (const s of Object.values(statistics)) {
+    total.keys += s.keys;
+    total.filled += s.filled;
+    total.approved += s.approved;
+  }
+
+  return total;
+}
+
+function table(statistics) {
+
+  const rows = [ Columns.map(c => c[0]) ]
+    .concat(Object.keys(statistics).map(locale => Columns.map(c => String(c[1](locale, statistics[locale])))));
+
+  const widths = Columns.map((c, i) => Math.max(...rows.map(row => row[i].length)));
+
+  return rows
+    .map(row => row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  '))
+    .join('\n');
+}
+
+// summary line is easy to grep for badges: "Translated: 75%, approved: 50%"
+function markdown(statistics) {
+
+  const total = totals(statistics);
+
+  const lines = [
+    `**Translated: ${percent(total.filled, total.keys)}, approved: ${percent(total.approved, total.keys)}**`,
+    '',
+    '| ' + Columns.map(c => c[0]).join(' | ') + ' |',
+    '|' + Columns.map((c, i) => i === 0 ? ' --- ' : ' ---: ').join('|') + '|'
+  ];
+
+  Object.keys(statistics).forEach(locale => lines.push('| ' + Columns.map(c => c[1](locale, statistics[locale])).join(' | ') + ' |'));
+
+  return lines.join('\n');
+}
+
+// result of getStatistics() -> report
+export function formatStatistics(statistics = {}, format = StatsFormat.Table) {
+
+  switch (format) {
+
+    case StatsFormat.Json:
+      return JSON.stringify({ locales: statistics, total: totals(statistics) }, undefined, 2);
+
+    case StatsFormat.Markdown:
+      return markdown(statistics);
+
+    default:
+      return table(statistics);
+  }
+}
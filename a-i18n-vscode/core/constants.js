@@ -21,6 +21,8 @@ export const Action = {
   RevertChanges: 'RevertChanges',
   RevertAllChanges: 'RevertAllChanges',
 
+  DiscardProblem: 'DiscardProblem',
+
   AddComment: 'AddComment',
   RemoveComment: 'RemoveComment',
 
@@ -29,6 +31,9 @@ export const Action = {
 
   ApplyChange: 'ApplyChange',
 
+  Undo: 'Undo',
+  Redo: 'Redo',
+
   AutoExport: 'AutoExport',
 
   LocalesOrder: 'LocalesOrder',
@@ -7,22 +7,58 @@ import { Dropdown } from './Dropdown.jsx';
 import { PanelChangesList } from './KeysLists.jsx';
 import { CheckBox } from './CheckBox.jsx';
 import { VsCode } from './utils/VsCode.js';
-import { ActionButton, onAction } from './Actions.jsx';
+import { ActionButton, ActionIcon, onAction } from './Actions.jsx';
 
 
 const onAutoExport = (value) => {
   VsCode.post(Action.AutoExport, { value });
 }
 
+const toFileName = (path = '') => path.split('/').pop();
+
+// state errors that were skipped on loading in recovery mode (save is blocked until they are fixed or discarded)
+const Problems = ({ problems = [] }) => {
+
+  if (problems.length === 0) {
+    return null;
+  }
+
+  const onClick = (problem) => {
+    if (problem.key) {
+      VsCode.post(Action.SelectKey, { key: problem.key });
+    }
+  };
+
+  const onDiscard = (problem) => (e) => {
+    e.preventDefault();
+    e.stopPropagation(); // not selecting key of problem
+    VsCode.post(Action.DiscardProblem, { file: problem.file, line: problem.line });
+  };
+
+  return (
+    <div className='lpc-problems' title='Fix duplicated and invalid lines in files or discard them before saving'>
+      {
+        problems.map((problem, i) => (
+          <div key={i} className={`lpc-problem ${problem.key ? 'lpc-selectable' : ''}`} title={problem.message} onClick={() => onClick(problem)}>
+            <span onClick={onDiscard(problem)}><ActionIcon action={Action.DiscardProblem}/></span>
+            {toFileName(problem.file)}{problem.line ? ':' + problem.line : ''} {problem.code}{problem.key ? ` "${problem.key}"` : ''}
+          </div>
+        ))
+      }
+    </div>
+  );
+};
+
 export const PanelChanges = ({ className }) => {
 
-  const { autoExport, selectedKey, changedKeys } = useContextState();
+  const { autoExport, selectedKey, changedKeys, problems } = useContextState();
   const onClick = action => VsCode.post(action);
 
   return (
     <div className={`g-panel-changes ${className}`}>
 
       <Dropdown title="Changes" actions={[Action.RevertAllChanges]} onClick={onClick}/>
+      <Problems problems={problems}/>
       <PanelChangesList className="lpc-keys-list" changedKeys={changedKeys} selectedKey={selectedKey}/>
 
       <div className='lpc-bar' onClick={onAction(onClick)}>
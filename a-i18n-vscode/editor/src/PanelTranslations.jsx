@@ -15,7 +15,7 @@ export const PanelTranslations = ({ className }) => {
   const content = selectedKey ?
     <>
       <Key selectedKey={selectedKey} selectedState={selectedInfo.state} />
-      {selectedInfo.state !== KeyState.Missing && <Translations key={selectedKey} deleted={selectedInfo.state === KeyState.Deleted} selectedCurrent={selectedInfo.current} selectedPrevious={selectedInfo.previous}/>}
+      {selectedInfo.state !== KeyState.Missing && <Translations key={selectedKey} deleted={selectedInfo.state === KeyState.Deleted} selectedCurrent={selectedInfo.current} selectedPrevious={selectedInfo.previous} selectedIssues={selectedInfo.issues}/>}
     </>
     :
     <div className='lpt-not-selected'>
@@ -2,10 +2,10 @@
 import React, { useRef, useState } from 'react';
 
 import { ActionLink, onAction } from './Actions.jsx';
-import { IconApprove, IconCheckOff, IconComment } from './Icons.jsx';
+import { IconAlert, IconApprove, IconCheckOff, IconComment } from './Icons.jsx';
 import { Space } from './utils/Space.jsx';
 import { Textarea } from './Textarea.jsx';
-import { EmptyT, hasComment, tCompare } from '../../../a-i18n-core-js/index.js';
+import { EmptyT, hasComment, LintSeverity, tCompare } from '../../../a-i18n-core-js/index.js';
 import { Action } from '../../core/constants.js';
 import { TranslationDiff } from './TranslationDiff';
 import { VsCode } from './utils/VsCode.js';
@@ -63,7 +63,7 @@ class CurrentT {
 }
 
 
-export const Translation = ({ selectedKey, locale, deleted, current, previous }) => {
+export const Translation = ({ selectedKey, locale, deleted, current, previous, issues = [] }) => {
 
   const [t, setT] = useState(Object.assign({ locale, key: selectedKey }, EmptyT, current)); // ignoring incoming changes on global state change
 
@@ -117,6 +117,14 @@ export const Translation = ({ selectedKey, locale, deleted, current, previous })
           <Textarea initialValue={t.value} setValue={updater.current.setValue}/>
         </div>
       }
+      {
+        !deleted && issues.map((issue, i) =>
+          <div key={i} className={'lt-line lt-issue' + (issue.severity === LintSeverity.Error ? ' lt-error' : '')} title={issue.code}>
+            <span><IconAlert /></span>
+            <div>{issue.message}</div>
+          </div>
+        )
+      }
       {
         previous &&
         <TranslationDiff previous={previous.value} current={t.value} previousApproved={previous.approved} currentApproved={t.approved} />
@@ -16,7 +16,7 @@ function onCopy (e) {
   e.preventDefault();
 }
 
-export const Translations = ({ deleted, selectedCurrent, selectedPrevious }) => {
+export const Translations = ({ deleted, selectedCurrent, selectedPrevious, selectedIssues = {} }) => {
 
   const { selectedKey, preferences, selectedForce } = useContextState();
 
@@ -35,7 +35,7 @@ export const Translations = ({ deleted, selectedCurrent, selectedPrevious }) =>
           const renderKey = buildFK(locale, selectedKey) + '#' + updater.current;
 
           return (
-            <Translation key={renderKey} selectedKey={selectedKey} deleted={deleted} locale={locale} current={selectedCurrent[locale]} previous={selectedPrevious[locale]}/>
+            <Translation key={renderKey} selectedKey={selectedKey} deleted={deleted} locale={locale} current={selectedCurrent[locale]} previous={selectedPrevious[locale]} issues={selectedIssues[locale]}/>
           )}
         )
       }
@@ -32,6 +32,7 @@ export function getActionInfo(action) {
 
     case Action.RevertChanges: return a(<IconRevert />, 'Revert changes');
     case Action.RevertAllChanges: return a(<IconRevert />, 'Revert all changes');
+    case Action.DiscardProblem: return a(<IconTrash />, 'Discard', 'Discard problem (skipped line is removed on save)');
 
     case Action.AddComment: return a(<IconAddComment />, 'Add comment');
     case Action.RemoveComment: return a(<IconRemoveComment />, 'Remove comment');
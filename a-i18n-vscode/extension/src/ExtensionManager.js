@@ -5,7 +5,7 @@ import { errorHandler, toPath, uriToString, toUniqueShortPath } from './Utils.js
 import { Disposable } from './Disposable.js';
 import { I18nManager } from './I18nManager.js';
 import { StatusBarManager } from './StatusBarManager.js';
-import { Extension } from '../../core/constants.js';
+import { Action, Extension } from '../../core/constants.js';
 
 
 const NotInitializedText = 'A-i18n extension not initialized yet';
@@ -20,11 +20,12 @@ export class ExtensionManager extends Disposable {
 
     this.configDefaults = {
       errorHandler: errorHandler,
-      exportHandler: (result, isError) => {
+      exportHandler: (result, isError, name) => {
         if (isError) {
           errorHandler(result);
         } else {
-          vscode.window.showInformationMessage((result && typeof result === 'string') ? result : 'Translations exported.');
+          const message = (result && typeof result === 'string') ? result : 'Translations exported.';
+          vscode.window.showInformationMessage(name ? `${name}: ${message}` : message);
         }
       }
     }
@@ -38,6 +39,8 @@ export class ExtensionManager extends Disposable {
 
     this.dis(this.statusBarManager.init());
 
+    this.diagnostics = this.dis(vscode.languages.createDiagnosticCollection(Extension));
+
     this.dis(vscode.workspace.onDidChangeWorkspaceFolders(() => {
       this.activate();
     }));
@@ -70,6 +73,14 @@ export class ExtensionManager extends Disposable {
       this.openEditor();
     })));
 
+    this.dis(vscode.commands.registerCommand(Extension + ".undo", toCommand(() => {
+      this.handleActiveAction(Action.Undo);
+    })));
+
+    this.dis(vscode.commands.registerCommand(Extension + ".redo", toCommand(() => {
+      this.handleActiveAction(Action.Redo);
+    })));
+
     const hasFolders = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0;
     if (!hasFolders) {
       this.nonActiveReason = `Can't activate A-i18n extensions in workspace without folders`;
@@ -159,6 +170,15 @@ export class ExtensionManager extends Disposable {
    }
   }
 
+  // action of editor in focus
+  handleActiveAction(action) {
+
+    const manager = Object.values(this.managers).filter(m => m.isActive())[0];
+    if (manager) {
+      manager.handleAction(action);
+    }
+  }
+
   dispose() {
     super.dispose();
     this.managers = {};
@@ -167,7 +187,7 @@ export class ExtensionManager extends Disposable {
 
   createManager(i18n) {
 
-    const manager = new I18nManager(this.context, i18n)
+    const manager = new I18nManager(this.context, i18n, this.diagnostics)
     this.dis(manager);
 
     if (this.managers[manager.path]) {
@@ -48,9 +48,9 @@ function buildPreferences(context) {
 
 function buildState(previousState = {}, ui, i18n, context) {
 
-  const { keys, locales, changes, loaded, error } = i18n.state;
+  const { keys, locales, changes, loaded, error, problems } = i18n.state;
 
-  const state = Object.assign({ loaded, error }, ui);
+  const state = Object.assign({ loaded, error, problems }, ui);
 
   state.preferences = buildPreferences(context);
   state.autoExport = i18n.autoExport;
@@ -127,11 +127,12 @@ function buildState(previousState = {}, ui, i18n, context) {
 
 export class I18nManager extends Disposable {
 
-  constructor(context, i18n) {
+  constructor(context, i18n, diagnostics) {
     super();
 
     this.context = context;
     this.i18n = i18n;
+    this.diagnostics = diagnostics;
     this.path = i18n.fullPath();
     this.dispose();
   }
@@ -219,6 +220,17 @@ export class I18nManager extends Disposable {
         this.ui.selectedForce = true;
         return this.i18n.revertChanges({ key: data.key, locale: data.locale });
 
+      case Action.DiscardProblem:
+        return this.i18n.discardProblems({ file: data.file, line: data.line });
+
+      case Action.Undo:
+        this.ui.selectedForce = true;
+        return this.i18n.undo();
+
+      case Action.Redo:
+        this.ui.selectedForce = true;
+        return this.i18n.redo();
+
       case Action.DeleteKey:
         this.ui.selectedForce = data.key === this.ui.selectedKey;
         return this.i18n.deleteKey({ key: data.key });
@@ -258,6 +270,14 @@ export class I18nManager extends Disposable {
     }
   }
 
+  isActive() {
+    return !!this.panel && this.panel.active;
+  }
+
+  handleAction(action) {
+    return this._handleAction(action, {});
+  }
+
   setTitle(title) {
     if (this.panel) {
       this.panel.title = title;
@@ -296,6 +316,7 @@ export class I18nManager extends Disposable {
 
     return this.i18n.connect({ onChange: () => {
       this._postState();
+      this._updateDiagnostics();
     }})
       .then(unsubscribe => {
         if (unsubscribe) { // can be undefined on catch error
@@ -305,9 +326,55 @@ export class I18nManager extends Disposable {
       });
   }
 
+  _updateDiagnostics() {
+
+    this._clearDiagnostics();
+
+    if (!this.diagnostics) {
+      return;
+    }
+
+    const { error, problems = [] } = this.i18n.state;
+
+    const byFile = {};
+    for (const e of (error ? [error] : problems)) {
+
+      if (!e.file) {
+        continue;
+      }
+
+      const line = Math.max((e.line || 1) - 1, 0);
+      const column = Math.max((e.column || 1) - 1, 0);
+
+      const diagnostic = new vscode.Diagnostic(new vscode.Range(line, column, line, Number.MAX_SAFE_INTEGER), e.message, vscode.DiagnosticSeverity.Error);
+      diagnostic.code = e.code;
+      diagnostic.source = 'A-i18n';
+
+      (byFile[e.file] = byFile[e.file] || []).push(diagnostic);
+    }
+
+    for (const file of Object.keys(byFile)) {
+      const uri = Uri.parse(this.i18n.fullPathOf(file));
+      this.diagnostics.set(uri, byFile[file]);
+      this.diagnosticUris.push(uri);
+    }
+  }
+
+  _clearDiagnostics() {
+
+    if (this.diagnostics && this.diagnosticUris) {
+      for (const uri of this.diagnosticUris) {
+        this.diagnostics.delete(uri);
+      }
+    }
+
+    this.diagnosticUris = [];
+  }
+
   dispose() {
     super.dispose();
     this._resetPanel();
+    this._clearDiagnostics();
   }
 
   _resetPanel() {
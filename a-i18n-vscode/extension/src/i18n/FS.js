@@ -1,4 +1,5 @@
 import vscode, { Uri } from 'vscode';
+import nodeFs from 'fs'; // empty in web extension (see webpack.config.js)
 
 import { TypeDirectory, TypeFile } from '../../../../a-i18n-core-js/index.js';
 import { toFileName } from '../Utils.js';
@@ -22,6 +23,22 @@ const exists = (path, fileType) => new Promise((resolve, reject) => {
 const encoder = new TextEncoder();
 const decoder = new TextDecoder();
 
+// vscode.workspace.fs can't append, so local files are appended with node.fs
+const canAppend = (uri) => uri.scheme === 'file' && !!(nodeFs && nodeFs.promises);
+
+const appendFile = (path, data) => {
+
+  const uri = Uri.parse(path);
+
+  if (canAppend(uri)) {
+    return nodeFs.promises.appendFile(uri.fsPath, data);
+  }
+
+  return exists(path, TypeFile)
+    .then(isExists => isExists ? fs.readFile(uri).then(buffer => decoder.decode(buffer)) : '')
+    .then(content => fs.writeFile(uri, encoder.encode(content + data)));
+};
+
 
 export const FS = {
 
@@ -30,6 +47,7 @@ export const FS = {
 
   readFile: (path) => fs.readFile(Uri.parse(path)).then(buffer => decoder.decode(buffer)),
   writeFile: (path, data) => fs.writeFile(Uri.parse(path), encoder.encode(data)),
+  appendFile: (path, data) => appendFile(path, data),
 
   createDirectory: (path) => fs.createDirectory(Uri.parse(path)),
   readDirectory: (path) => fs.readDirectory(Uri.parse(path)),
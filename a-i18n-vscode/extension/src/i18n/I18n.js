@@ -26,6 +26,11 @@ export class I18n extends Ai18n {
     return _fullPath(this._config.rootPath, this._config.directory);
   }
 
+  // full path of file by relative path (e.g. path in error location)
+  fullPathOf(path) {
+    return _fullPath(this._config.rootPath, path);
+  }
+
   saveConfig() {
     return this._fs.existFile(ConfigPath)
       .then((isExists) => {
@@ -0,0 +1,6 @@
+
+export * from '../a-i18n-core-js/index.js';
+export * from './src/fs.js';
+export * from './src/i18n.js';
+export * from './src/plugin.js';
+export * from './src/loader.js';
@@ -0,0 +1,51 @@
+
+export const ChunksDefaults = {
+  keyPattern: /\bt\(\s*['"`]([^'"`]+)['"`]/g, // 1st group is i18n-key
+  filename: 'i18n/[name].[locale].json',
+  manifest: 'i18n/manifest.json',
+  mode: 'flat' // or 'nested'
+};
+
+
+function moduleSource(module) {
+
+  const source = module.originalSource && module.originalSource();
+  if (!source) return '';
+
+  const content = source.source();
+  return typeof content === 'string' ? content : content.toString();
+}
+
+// keys referenced by modules of the chunk (concatenated modules are checked by inner modules)
+export function findChunkKeys(chunkGraph, chunk, keyPattern, isKey) {
+
+  const keys = new Set();
+  const pattern = new RegExp(keyPattern.source, keyPattern.flags.indexOf('g') >= 0 ? keyPattern.flags : keyPattern.flags + 'g');
+
+  for (const chunkModule of chunkGraph.getChunkModulesIterable(chunk)) {
+
+    const modules = chunkModule.modules || [ chunkModule ];
+    for (const module of modules) {
+
+      const content = moduleSource(module);
+
+      let match;
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(content)) !== null) {
+        if (isKey(match[1])) {
+          keys.add(match[1]);
+        }
+      }
+    }
+  }
+
+  return Array.from(keys.values()).sort();
+}
+
+export function chunkFileName(filename, chunk, locale) {
+  const name = chunk.name || String(chunk.id);
+  return filename
+    .replace(/\[name\]/g, name)
+    .replace(/\[id\]/g, String(chunk.id))
+    .replace(/\[locale\]/g, locale);
+}
@@ -0,0 +1,42 @@
+
+import { FileSystem, RootDirectory, toPromise } from '../../a-i18n-core-js/index.js';
+
+
+// Collects exported files in memory to emit them as webpack assets
+export class AssetsFileSystem extends FileSystem {
+
+  constructor (fs, config) {
+    super(fs, config);
+
+    // relative path (from root path) that is stripped from asset names
+    this._assetsPath = config.assetsPath || RootDirectory;
+
+    this.assets = {};
+  }
+
+  _assetName (path) {
+    this._resolveFilePath(path); // validating path
+    return path.startsWith(this._assetsPath) ? path.substring(this._assetsPath.length) : path.substring(RootDirectory.length);
+  }
+
+  createPath (path) {
+    return toPromise(() => {
+      this._assetName(path);
+      return true;
+    });
+  }
+
+  writeFile (path, data = '') {
+    return toPromise(() => {
+      this.assets[this._assetName(path)] = data;
+      return true;
+    });
+  }
+
+  resetAssets () {
+    const assets = this.assets;
+    this.assets = {};
+    return assets;
+  }
+
+}
@@ -0,0 +1,64 @@
+
+import { I18n } from '../../a-i18n-node/src/i18n.js';
+import { I18nJs, buildFK, isPresetExporter, setNested, unsafeValue } from '../../a-i18n-core-js/index.js';
+import { AssetsFileSystem } from './fs.js';
+
+
+export class WebpackI18n extends I18n {
+
+  constructor (config) {
+    super(config);
+    this._assetsFs = new AssetsFileSystem(this.__initializeFS(), this._config);
+  }
+
+  _exportFS () {
+    return this._assetsFs;
+  }
+
+  takeAssets () {
+    return this._assetsFs.resetAssets();
+  }
+
+  // exported values of the keys by locale
+  textsOf (keys = [], nested = false) {
+
+    const texts = {};
+    for (const locale of this.state.locales) {
+
+      const localeTexts = texts[locale] = {};
+      for (const key of keys) {
+
+        const t = this.state.origins[buildFK(locale, key)];
+        if (t && t.value !== undefined) {
+
+          const value = unsafeValue(t.value);
+          if (nested) {
+            setNested(localeTexts, key, value);
+          } else {
+            localeTexts[key] = value;
+          }
+        }
+      }
+    }
+
+    return texts;
+  }
+
+  // absolute paths of files that must trigger recompilation in watch mode
+  dependencies () {
+
+    const files = Object.values(this.state.files).map(file => this._fs.resolvePath(file.path));
+
+    const { exporter, exporters = [] } = this._config;
+
+    // files of exporters (built-in and custom exporters of config don't have files)
+    const exporterPaths = (exporters.length > 0 ? exporters : [ exporter ])
+      .filter(e => !isPresetExporter(e) && !(e && typeof e.save === 'function'))
+      .map(e => (e && e.file) || this._config.exporterPath || this._fs.pathTo(I18nJs));
+
+    const missing = [];
+    return Promise.all(exporterPaths.map(exporterPath => this._fs.existFile(exporterPath)
+      .then(isExists => (isExists ? files : missing).push(this._fs.resolvePath(exporterPath)))))
+      .then(() => ({ files, missing }));
+  }
+}
@@ -0,0 +1,55 @@
+
+import { CommentLine, DuplicateKeyError, FingerprintLine, parseLines, setNested, unsafeValue } from '../../a-i18n-core-js/index.js';
+
+
+export const LoaderMode = {
+  Nested: 'nested',
+  Flat: 'flat'
+};
+
+const LoaderDefaults = {
+  mode: LoaderMode.Nested,
+  separator: '.'
+};
+
+
+export function parseI18n(content = '', options = {}, file = '') {
+
+  const { mode, separator } = Object.assign({}, LoaderDefaults, options);
+
+  const texts = {};
+  const valueKeys = new Set();
+
+  for (const parsedLine of parseLines(content, file)) {
+
+    const { type, key, line } = parsedLine;
+
+    if (type === CommentLine || type === FingerprintLine) {
+      continue;
+    }
+
+    if (valueKeys.has(key)) {
+      throw new DuplicateKeyError(key, { file, line, column: 1 });
+    }
+
+    valueKeys.add(key);
+
+    const value = unsafeValue(parsedLine.value);
+    if (mode === LoaderMode.Flat) {
+      texts[key] = value;
+    } else {
+      setNested(texts, key, value, separator);
+    }
+  }
+
+  return texts;
+}
+
+export default function loader(content) {
+
+  const options = this.getOptions ? this.getOptions() : (this.query || {});
+
+  const texts = parseI18n(content, options, this.resourcePath);
+
+  return `export default ${JSON.stringify(texts)};`;
+}
@@ -0,0 +1,38 @@
+
+import { DuplicateKeyError, InvalidFormatError } from '../../a-i18n-core-js/index.js';
+import loader, { LoaderMode, parseI18n } from './loader.js';
+
+
+const file = 'en.i18n';
+const content = '/a.b=Comment\n-a.b=First\\_line\n\n+a.c=Second\r\n-d=Third\n';
+
+
+test(`a-i18n-webpack.parseI18n(): nested`, () => {
+  expect(parseI18n(content, { mode: LoaderMode.Nested }, file)).toEqual({
+    a: { b: 'First\nline', c: 'Second' },
+    d: 'Third'
+  });
+})
+
+test(`a-i18n-webpack.parseI18n(): flat`, () => {
+  expect(parseI18n(content, { mode: LoaderMode.Flat }, file)).toEqual({
+    'a.b': 'First\nline',
+    'a.c': 'Second',
+    'd': 'Third'
+  });
+})
+
+test(`a-i18n-webpack.parseI18n(): duplicated key`, () => {
+  expect(() => parseI18n(content + '-a.c=Again\n', {}, file)).toThrow(DuplicateKeyError);
+  expect(() => parseI18n(content + '-a.c=Again\n', {}, file)).toThrow(`${file}:6`);
+})
+
+test(`a-i18n-webpack.parseI18n(): invalid format`, () => {
+  expect(() => parseI18n(content + '+invalid\n', {}, file)).toThrow(InvalidFormatError);
+  expect(() => parseI18n(content + '+invalid\n', {}, file)).toThrow(`${file}:6`);
+})
+
+test(`a-i18n-webpack.loader()`, () => {
+  const context = { getOptions: () => ({ mode: LoaderMode.Flat }), resourcePath: file };
+  expect(loader.call(context, '-a.b=Text')).toEqual('export default {"a.b":"Text"};');
+})
@@ -0,0 +1,120 @@
+
+import { ErrorCodes } from '../../a-i18n-core-js/index.js';
+import { WebpackI18n } from './i18n.js';
+import { ChunksDefaults, chunkFileName, findChunkKeys } from './chunks.js';
+
+
+export const PluginName = 'A-i18n';
+export const WebpackExport = 'webpack';
+
+export class I18nPlugin {
+
+  constructor (config = {}) {
+    this._config = config;
+  }
+
+  apply (compiler) {
+
+    const { webpack } = compiler;
+    const { Compilation, WebpackError, sources } = webpack;
+
+    const chunksConfig = this._config.chunks ? Object.assign({}, ChunksDefaults, this._config.chunks) : null;
+
+    const i18n = this.i18n = new WebpackI18n(Object.assign({ rootPath: compiler.context }, this._config, {
+      autoExport: false, // export is made on each compilation
+      errorHandler: (error) => { throw error; },
+      exportHandler: (result, isError) => { if (isError) throw result; }
+    }));
+
+    const toWebpackError = (error) => {
+      const webpackError = new WebpackError(error.message);
+      webpackError.name = 'I18nError';
+      webpackError.hideStack = true;
+      return webpackError;
+    };
+
+    compiler.hooks.make.tapPromise(PluginName, (compilation) => {
+      return i18n.load()
+        .then(() => i18n.dependencies())
+        .then(({ files, missing }) => {
+
+          files.forEach(file => compilation.fileDependencies.add(file));
+          missing.forEach(file => compilation.missingDependencies.add(file));
+
+          if (i18n.state.error) {
+            compilation.errors.push(toWebpackError(i18n.state.error));
+          }
+        });
+    });
+
+    compiler.hooks.thisCompilation.tap(PluginName, (compilation) => {
+
+      compilation.hooks.processAssets.tapPromise({
+        name: PluginName,
+        stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
+      }, () => {
+
+        if (!i18n.state.loaded || i18n.state.error) {
+          return Promise.resolve();
+        }
+
+        i18n.takeAssets(); // dropping leftovers of failed exports
+
+        return i18n.export({ type: WebpackExport })
+          .then(() => {
+
+            const assets = i18n.takeAssets();
+            for (const name of Object.keys(assets)) {
+              compilation.emitAsset(name, new sources.RawSource(assets[name]));
+            }
+          })
+          .catch(error => {
+            // exporter is optional when translations are split by chunks
+            if (!chunksConfig || error.code !== ErrorCodes.NoI18nJsFiles) {
+              compilation.errors.push(toWebpackError(error));
+            }
+          })
+          .then(() => {
+            if (chunksConfig) {
+              this._emitChunksTexts(compilation, chunksConfig, sources);
+            }
+          });
+      });
+    });
+  }
+
+  _emitChunksTexts (compilation, chunksConfig, sources) {
+
+    const { i18n } = this;
+    const { chunkGraph } = compilation;
+
+    const isKey = (key) => i18n.state.keys.has(key);
+    const nested = chunksConfig.mode === 'nested';
+
+    const manifest = {};
+
+    for (const chunk of compilation.chunks) {
+
+      const keys = findChunkKeys(chunkGraph, chunk, chunksConfig.keyPattern, isKey);
+      if (keys.length === 0) {
+        continue;
+      }
+
+      const texts = i18n.textsOf(keys, nested);
+      const files = manifest[chunk.id] = {};
+
+      for (const locale of Object.keys(texts)) {
+
+        const file = chunkFileName(chunksConfig.filename, chunk, locale);
+        compilation.emitAsset(file, new sources.RawSource(JSON.stringify(texts[locale])));
+        chunk.auxiliaryFiles.add(file);
+
+        files[locale] = file;
+      }
+    }
+
+    if (chunksConfig.manifest) {
+      compilation.emitAsset(chunksConfig.manifest, new sources.RawSource(JSON.stringify(manifest)));
+    }
+  }
+}
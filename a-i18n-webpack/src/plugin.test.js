@@ -0,0 +1,133 @@
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import webpack from 'webpack';
+
+import { endWithSlash } from '../../a-i18n-core-js/index.js';
+import { I18nPlugin } from './plugin.js';
+import { WebpackI18n } from './i18n.js';
+import { findChunkKeys } from './chunks.js';
+
+
+const mkDir = (dir) => existsSync(dir) ? null : mkdirSync(dir, { recursive: true });
+const rmDir = (dir) => rmSync(dir, { recursive: true, force: true });
+const mkFile = (dir, file, content) => writeFileSync(endWithSlash(dir) + file, content);
+const rdJson = (dir, file) => JSON.parse(readFileSync(endWithSlash(dir) + file).toString());
+
+const root = './tests/';
+mkDir(root);
+
+
+// project with main chunk (key a) and lazy chunk (key b)
+function mkProject(dir) {
+
+  const p = root + dir;
+  rmDir(p);
+  mkDir(p + '/src');
+  mkDir(p + '/texts');
+
+  mkFile(p + '/src', 'index.js', `const t = (key) => key;\nt('a');\nimport(/* webpackChunkName: "lazy" */ './lazy.js');\n`);
+  mkFile(p + '/src', 'lazy.js', `const t = (key) => key;\nexport default t('b') + t('unknown');\n`);
+
+  mkFile(p + '/texts', 'en.i18n', `+a=A\n+b=B\n`);
+  mkFile(p + '/texts', 'de.i18n', `+a=A de\n-b=B de\n`);
+
+  return resolve(p);
+}
+
+const compile = (context, pluginConfig) => new Promise((resolve, reject) => {
+
+  const plugin = new I18nPlugin(pluginConfig);
+
+  const compiler = webpack({
+    context,
+    mode: 'development',
+    devtool: false,
+    entry: './src/index.js',
+    output: { path: context + '/dist' },
+    plugins: [ plugin ]
+  });
+
+  compiler.run((error, stats) => {
+    compiler.close(() => error ? reject(error) : resolve({ stats, compilation: stats.compilation, plugin }));
+  });
+});
+
+
+test(`a-i18n-webpack.I18nPlugin: exported assets and file dependencies`, () => {
+
+  const context = mkProject('plugin');
+
+  return compile(context, { directory: './texts', assetsPath: './dist/', exporter: { preset: 'json-flat' } })
+    .then(({ stats, compilation }) => {
+
+      expect(stats.hasErrors()).toBe(false);
+
+      expect(rdJson(context + '/dist', 'en.json')).toEqual({ a: 'A', b: 'B' });
+      expect(rdJson(context + '/dist', 'de.json')).toEqual({ a: 'A de', b: 'B de' });
+
+      expect(compilation.fileDependencies.has(context + '/texts/en.i18n')).toBe(true);
+      expect(compilation.fileDependencies.has(context + '/texts/de.i18n')).toBe(true);
+    });
+})
+
+test(`a-i18n-webpack.I18nPlugin: missing exporter is an error`, () => {
+
+  const context = mkProject('plugin-no-exporter');
+
+  return compile(context, { directory: './texts' })
+    .then(({ stats, compilation }) => {
+      expect(stats.hasErrors()).toBe(true);
+      expect(compilation.missingDependencies.has(context + '/texts/.i18n.js')).toBe(true);
+    });
+})
+
+test(`a-i18n-webpack.I18nPlugin: translations by chunks`, () => {
+
+  const context = mkProject('plugin-chunks');
+
+  return compile(context, { directory: './texts', chunks: { mode: 'flat' } })
+    .then(({ stats, compilation }) => {
+
+      expect(stats.hasErrors()).toBe(false);
+
+      const json = (name) => rdJson(context + '/dist', name);
+
+      expect(json('i18n/main.en.json')).toEqual({ a: 'A' });
+      expect(json('i18n/main.de.json')).toEqual({ a: 'A de' });
+      expect(json('i18n/lazy.en.json')).toEqual({ b: 'B' });
+      expect(json('i18n/lazy.de.json')).toEqual({ b: 'B de' });
+
+      const manifest = json('i18n/manifest.json');
+      const lazy = Array.from(compilation.chunks).find(chunk => chunk.name === 'lazy');
+      expect(manifest[lazy.id]).toEqual({ en: 'i18n/lazy.en.json', de: 'i18n/lazy.de.json' });
+    });
+})
+
+test(`a-i18n-webpack.findChunkKeys()`, () => {
+
+  const module = (content) => ({ originalSource: () => ({ source: () => content }) });
+  const chunkGraph = {
+    getChunkModulesIterable: (chunk) => chunk.modules
+  };
+
+  const chunk = { modules: [ module(`t('b'); t("a"); t('b')`), { modules: [ module('t(`c`); t(\'x\')') ] }, module(null) ] };
+  chunk.modules[2].originalSource = () => null;
+
+  expect(findChunkKeys(chunkGraph, chunk, /\bt\(\s*['"`]([^'"`]+)['"`]/, key => key !== 'x')).toEqual([ 'a', 'b', 'c' ]);
+})
+
+test(`a-i18n-webpack.WebpackI18n.textsOf()`, () => {
+
+  const context = mkProject('i18n');
+  const i18n = new WebpackI18n({ rootPath: context, directory: './texts' });
+
+  return i18n.load()
+    .then(() => {
+      expect(i18n.textsOf([ 'a' ])).toEqual({ de: { a: 'A de' }, en: { a: 'A' } });
+      return i18n.dependencies();
+    })
+    .then(({ files, missing }) => {
+      expect(files.sort()).toEqual([ context + '/texts/de.i18n', context + '/texts/en.i18n' ]);
+      expect(missing).toEqual([ context + '/texts/.i18n.js' ]);
+    });
+})